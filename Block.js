@@ -0,0 +1,179 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+/**
+ * A parquet block, laid at an angle in a herringbone or chevron
+ * pattern (see Parquet). Blocks that cross the edge of the room are
+ * cut to fit. Like Planks, blocks are described in layout coordinates.
+ */
+class Block {
+
+  /**
+   * @param {Block|object} attrs attributes
+   * @param {number} attrs.id identifier for the block
+   * @param {number} attrs.row index of the row (or column) of the
+   * pattern the block is laid in, counting in installation order
+   * @param {number} attrs.length length of the block
+   * @param {number} attrs.width width of the block
+   * @param {object[]} attrs.corners corners of the whole block. The
+   * long sides are from corner 0 to 1 and from corner 3 to 2.
+   * @param {object[]} attrs.piece corners of the part of the block
+   * that is laid
+   * @param {number} attrs.area area of the part of the block that is
+   * laid
+   * @param {number[]} attrs.sides lengths of the two long sides of the
+   * part of the block that is laid
+   * @param {number} attrs.from see from
+   */
+  constructor(attrs = {}) {
+    /**
+     * Identifier for the block
+     * @member {number}
+     */
+    this.id = attrs.id ?? 0;
+
+    /**
+     * Index of the row of the pattern the block is laid in
+     * @member {number}
+     */
+    this.row = attrs.row ?? 0;
+
+    /**
+     * Length of the block
+     * @member {number}
+     */
+    this.length = attrs.length ?? 0;
+
+    /**
+     * Width of the block
+     * @member {number}
+     */
+    this.width = attrs.width ?? 0;
+
+    /**
+     * Corners of the whole block
+     * @member {object[]}
+     */
+    this.corners = (attrs.corners ?? []).map(p => ({ x: p.x, y: p.y }));
+
+    /**
+     * Corners of the part of the block that is laid
+     * @member {object[]}
+     */
+    this.piece = (attrs.piece ?? this.corners).map(p => ({ x: p.x, y: p.y }));
+
+    /**
+     * Area of the part of the block that is laid
+     * @member {number}
+     */
+    this.area = attrs.area ?? this.length * this.width;
+
+    /**
+     * Lengths of the two long sides of the part of the block that
+     * is laid
+     * @member {number[]}
+     */
+    this.sides = (attrs.sides ?? [ this.length, this.length ]).slice();
+
+    /**
+     * Where the block is cut from the offcut of a board that an
+     * earlier block was cut from, the id of that block. Undefined if
+     * the block takes a new board.
+     * @member {number?}
+     */
+    this.from = attrs.from;
+  }
+
+  /**
+   * Has the block been cut to fit?
+   * @member {boolean}
+   */
+  get cut() {
+    return this.area < this.length * this.width * (1 - 1e-6);
+  }
+
+  /**
+   * Number of straight cuts needed to cut the block to fit, being
+   * the number of edges of the part laid that are not along the
+   * sides of the whole block
+   * @member {number}
+   */
+  get cuts() {
+    if (!this.cut)
+      return 0;
+    const tolerance = 1e-6 * Math.max(this.length, 1);
+    // Distance of p from the line through a and b
+    const off = (p, a, b) => Math.abs(
+      (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x))
+          / Math.hypot(b.x - a.x, b.y - a.y);
+    const n = this.piece.length, m = this.corners.length;
+    let cuts = 0, last;
+    for (let i = 0; i < n; i++) {
+      const p = this.piece[i], q = this.piece[(i + 1) % n];
+      if (Math.hypot(q.x - p.x, q.y - p.y) < tolerance)
+        continue;
+      let onSide = false;
+      for (let j = 0; j < m && !onSide; j++) {
+        const a = this.corners[j], b = this.corners[(j + 1) % m];
+        onSide = off(p, a, b) < tolerance && off(q, a, b) < tolerance;
+      }
+      // Edges that carry on in the same line are one cut
+      if (!onSide && !(last && off(p, ...last) < tolerance
+                       && off(q, ...last) < tolerance))
+        cuts++;
+      last = onSide ? undefined : [ p, q ];
+    }
+    return cuts;
+  }
+
+  /**
+   * The longer of the long sides of the part laid
+   * @member {number}
+   */
+  get longSide() {
+    return Math.max(...this.sides);
+  }
+
+  /**
+   * The shorter of the long sides of the part laid
+   * @member {number}
+   */
+  get shortSide() {
+    return Math.min(...this.sides);
+  }
+
+  /**
+   * Length of block covering the same area as the part laid
+   * @member {number}
+   */
+  get meanLength() {
+    return this.width > 0 ? this.area / this.width : 0;
+  }
+
+  /**
+   * @param {Surface} surf
+   */
+  draw(surf) {
+    surf.openGroup();
+    // Cut blocks are shaded
+    surf.drawPolygon(this.piece)
+    .fill({ color: this.cut ? "orange" : "none", opacity: 0.1 })
+    .stroke({ color: "black", opacity: 0.1, width: 1 });
+
+    // Annotate with the ID, along the block
+    const a = this.corners[0], b = this.corners[1];
+    const n = this.piece.length;
+    const x = this.piece.reduce((t, p) => t + p.x, 0) / n;
+    const y = this.piece.reduce((t, p) => t + p.y, 0) / n;
+    surf.drawText(`${this.id}`, x, y,
+                  3 * this.width / 4,
+                  Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI);
+    surf.closeGroup();
+  }
+
+  toString() {
+    return `${this.id} ${this.cut ? "cut" : "whole"} ${this.area}`;
+  }
+}
+
+export { Block }
@@ -0,0 +1,216 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+import { Plank } from "./Plank.js";
+
+/**
+ * The room is divided left-to-right into columns, each the width of
+ * a plank. Where a column crosses the room more than once (for
+ * example, either side of an island) it is split into several
+ * Column segments with the same left. Then the planks are laid into
+ * each column.
+ */
+class Column {
+
+  /**
+   * @param {Column|object} attrs attributes
+   * @param {number} attrs.width width of the column
+   * @param {number} attrs.left left edge of the column
+   * @param {number} attrs.top top of the column
+   * @param {number} attrs.bottom bottom of the column
+   * @param {number} attrs.rip_left amount to rip off the left of planks
+   * @param {number} attrs.rip_right amount to rip off the right of planks
+   * @param {number} attrs.mitre_top slope of the wall at the top, see
+   * mitre_top
+   * @param {number} attrs.mitre_bottom slope of the wall at the
+   * bottom, see mitre_bottom
+   * @param {number} attrs.overlap_top see overlap_top
+   * @param {number} attrs.overlap_bottom see overlap_bottom
+   * @param {Plank[]} attrs.planks planks in the column
+   * @param {boolean} attrs.pinned true if the column is pinned
+   */
+  constructor(attrs = {}) {
+    /**
+     * left edge of the column
+     * @member {number}
+     */
+    this.left = attrs.left ?? 0;
+
+    /**
+     * width of the column
+     * @member {number}
+     */
+    this.width = attrs.width ?? 0;
+
+    /**
+     * top of the column (min y)
+     * @member {number}
+     */
+    this.top = attrs.top ?? Number.MAX_SAFE_INTEGER;
+
+    /**
+     * bottom of the column (max y)
+     * @member {number}
+     */
+    this.bottom = attrs.bottom ?? Number.MIN_SAFE_INTEGER;;
+
+    /**
+     * Amount that has to be ripped off the left side of planks,
+     * where the column hangs over the room poly
+     * @member {number}
+     */
+    this.rip_left = attrs.rip_left ?? 0;
+
+    /**
+     * Amount that has to be ripped off the right side of planks,
+     * where the column hangs over the room poly
+     * @member {number}
+     */
+    this.rip_right = attrs.rip_right ?? 0;
+
+    /**
+     * Where the top of the column meets a sloped wall, how much
+     * further down the wall is at the right edge of the planks than at
+     * the left edge (negative if it's further up). The top of the
+     * column is at the higher of the two. 0 if the top is square.
+     * @member {number}
+     */
+    this.mitre_top = attrs.mitre_top ?? 0;
+
+    /**
+     * Where the bottom of the column meets a sloped wall, how much
+     * further down the wall is at the right edge of the planks than at
+     * the left edge. The bottom of the column is at the lower of the
+     * two. 0 if the bottom is square.
+     * @member {number}
+     */
+    this.mitre_bottom = attrs.mitre_bottom ?? 0;
+
+    /**
+     * Where the wall at the top of the column turns a corner across
+     * the planks, so the top can't be cut to fit with a single
+     * straight cut, how far the square end runs past the wall. 0 if
+     * the top fits.
+     * @member {number}
+     */
+    this.overlap_top = attrs.overlap_top ?? 0;
+
+    /**
+     * As overlap_top, for the bottom of the column
+     * @member {number}
+     */
+    this.overlap_bottom = attrs.overlap_bottom ?? 0;
+
+    /**
+     * A pinned column is left alone by shuffles and recomputes
+     * @member {boolean}
+     */
+    this.pinned = attrs.pinned ?? false;
+
+    /**
+     * planks in the column
+     * @member {Plank[]}
+     */
+    this.planks = [];
+    if (attrs.planks)
+      for (const plank of attrs.planks)
+        this.planks.push(new Plank(plank));
+  }
+
+  get height() {
+    return this.bottom - this.top;
+  }
+
+  get right() {
+    return this.left + this.width;
+  }
+
+  /**
+   * Left edge of planks laid in the column, after ripping
+   */
+  get plankLeft() {
+    return this.left + this.rip_left;
+  }
+
+  /**
+   * Width of planks laid in the column, after ripping
+   */
+  get plankWidth() {
+    return this.width - this.rip_left - this.rip_right;
+  }
+
+  /**
+   * Fit a plank to the column, positioning it and recording the
+   * rip cuts needed.
+   * @param {Plank} plank the plank to fit
+   */
+  fit(plank) {
+    plank.left = this.plankLeft;
+    plank.width = this.plankWidth;
+    plank.rip_left = this.rip_left;
+    plank.rip_right = this.rip_right;
+    plank.mitre_top = 0;
+    plank.mitre_bottom = 0;
+    plank.overlap_top = 0;
+    plank.overlap_bottom = 0;
+  }
+
+  /**
+   * Once the column is filled, give the planks at the ends of the
+   * column the angles they have to be cut to, where the ends meet
+   * sloped walls, and how far they run past the walls where they
+   * can't be cut to fit
+   */
+  fitEnds() {
+    const first = this.planks[0], last = this.planks[this.planks.length - 1];
+    if (first && Math.abs(first.top - this.top) < 1e-6) {
+      first.mitre_top = this.mitre_top;
+      first.overlap_top = this.overlap_top;
+    }
+    if (last && Math.abs(last.bottom - this.bottom) < 1e-6) {
+      last.mitre_bottom = this.mitre_bottom;
+      last.overlap_bottom = this.overlap_bottom;
+    }
+  }
+
+  /**
+   * Get the joints between planks in the column
+   * @return {number[]} y coordinates of the joints
+   */
+  get joints() {
+    const joints = [];
+    for (const plank of this.planks)
+      if (plank.bottom < this.bottom - 1e-6 && plank.bottom > this.top + 1e-6)
+        joints.push(plank.bottom);
+    return joints;
+  }
+
+  /**
+   * @param {Surface} surf
+   * @param {function?} showBoard if given, label planks with the
+   * length of the board they came from, formatted by this function
+   */
+  draw(surf, showBoard) {
+    for (const plank of this.planks)
+      plank.draw(surf, showBoard);
+    if (this.pinned)
+      surf.drawRect(this.plankLeft, this.top, this.plankWidth, this.height)
+      .fill("none")
+      .stroke({ color: "blue", opacity: 0.5, width: 1 });
+  }
+
+  /**
+   * Make the left of all planks the same as the left of the column.
+   * This is used when moving columns around
+   */
+  lineUpPlanks() {
+    for (const plank of this.planks)
+      plank.left = this.plankLeft;
+  }
+
+  toString() {
+    return `Col T${this.top},L${this.left},B${this.bottom},R${this.right}`;
+  }
+}
+
+export { Column }
@@ -0,0 +1,261 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+import { StringSurface } from "./StringSurface.js";
+
+/**
+ * Escape a string for inclusion in HTML
+ * @param {string} s string to escape
+ * @return {string} escaped string
+ * @private
+ */
+function escapeHTML(s) {
+  return String(s)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+}
+
+/**
+ * A printable cut sheet and installation guide for a room, as a
+ * standalone HTML document. The document has a scaled plan of the
+ * room with wall dimensions, followed by the planks to lay, column by
+ * column in installation order, saying which end of each plank to
+ * cut and where the offcut goes. Herringbone and chevron blocks are
+ * listed row by row instead. It is styled to print (or save as
+ * PDF) on A4 or Letter paper.
+ */
+class CutSheet {
+
+  /**
+   * Page sizes supported, mapped to the height available for the plan
+   */
+  static PAPER = {
+    A4: "250mm",
+    Letter: "235mm"
+  };
+
+  /**
+   * @param {Room} room the room, already laid out
+   * @param {object} options options
+   * @param {string} options.paper paper size, a key in CutSheet.PAPER
+   * @param {string} options.title title for the document
+   */
+  constructor(room, options = {}) {
+    /**
+     * The room
+     * @member {Room}
+     */
+    this.room = room;
+
+    /**
+     * Paper size
+     * @member {string}
+     */
+    this.paper = options.paper in CutSheet.PAPER ? options.paper : "A4";
+
+    /**
+     * Document title
+     * @member {string}
+     */
+    this.title = options.title ?? "Cut sheet";
+  }
+
+  /**
+   * Work out the installation steps, column by column
+   * @return {object[]} list of columns, each {column:Column,
+   * planks:object[]}, where each plank is {plank:Plank, from:string,
+   * offcut:string} describing where the plank comes from and where
+   * its offcut goes
+   */
+  steps() {
+    const room = this.room;
+
+    // Find where each offcut comes from and goes to
+    const flows = {};
+    for (const flow of room.offcutFlow())
+      flows[flow.id] = flow;
+
+    return room.columns.map(col => ({
+      column: col,
+      planks: col.planks.map(plank => {
+        const flow = flows[plank.id];
+        let from = "new board", offcut = "";
+        if (plank.permanent)
+          from = "pre-cut plank";
+        else if (plank.offcut)
+          from = flow && flow.donor
+          ? `offcut of ${plank.id}, cut in column ${flow.donor.column + 1}`
+          : "offcut";
+        else if (flow && flow.donor && flow.donor.plank === plank) {
+          const goes = flow.offcuts.map(o => `column ${o.column + 1}`);
+          if (flow.spares.length > 0)
+            goes.push("keep as spare");
+          offcut = goes.length > 0 ? goes.join(", ") : "waste";
+        }
+        return { plank: plank, from: from, offcut: offcut };
+      })
+    }));
+  }
+
+  /**
+   * Draw a scaled plan of the room, with the length of each wall
+   * and a scale bar
+   * @return {string} SVG document
+   */
+  plan() {
+    const room = this.room;
+    const u = room.units;
+    const surf = new StringSurface();
+    const extent = room.extent;
+    const m = 3 * room.PLANK_WIDTH;
+    surf.resize(extent.left, extent.top, extent.width, extent.height + m, m);
+    room.draw(surf);
+
+    // Label each wall with its length, outside the room
+    const vs = room.vertices;
+    let area = 0;
+    for (let i = 0; i < vs.length; i++) {
+      const a = vs[i], b = vs[(i + 1) % vs.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    const f = room.PLANK_WIDTH;
+    for (let i = 0; i < vs.length; i++) {
+      const a = vs[i], b = vs[(i + 1) % vs.length];
+      const len = room.wallLength(i);
+      if (len === 0)
+        continue;
+      const side = area > 0 ? 1 : -1;
+      const nx = side * (b.y - a.y) / len, ny = side * (a.x - b.x) / len;
+      // Along the wall, but never upside down
+      let angle = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+      if (angle > 90)
+        angle -= 180;
+      else if (angle <= -90)
+        angle += 180;
+      surf.drawText(u.format(len),
+                    (a.x + b.x) / 2 + nx * f, (a.y + b.y) / 2 + ny * f,
+                    f, angle === 90 ? -90 : angle);
+    }
+
+    // Scale bar, one plank length long, under the plan
+    const y = extent.top + extent.height + 2 * f;
+    surf.drawLine(extent.left, y, extent.left + room.PLANK_LENGTH, y)
+    .stroke({ color: "black", width: 1 });
+    surf.drawText(u.format(room.PLANK_LENGTH),
+                  extent.left + room.PLANK_LENGTH / 2, y - f / 2, f);
+    return surf.svg();
+  }
+
+  /**
+   * Generate the cut sheet
+   * @return {string} HTML document
+   */
+  html() {
+    const room = this.room;
+    const u = room.units;
+    const mixed = room.boardLengths().length > 1;
+    const used = room.boardsUsed();
+    const rips = room.ripSchedule();
+    const out = [
+      "<!DOCTYPE html>",
+      "<html>",
+      "<head>",
+      '<meta charset="utf-8">',
+      `<title>${escapeHTML(this.title)}</title>`,
+      "<style>",
+      `@page { size: ${this.paper}; margin: 15mm; }`,
+      "body { font-family: sans-serif; font-size: 10pt; }",
+      ".plan { break-after: page; }",
+      `.plan svg { width: 100%; height: auto; max-height: ${CutSheet.PAPER[this.paper]}; }`,
+      ".column { break-inside: avoid; }",
+      "table { border-collapse: collapse; width: 100%; margin-bottom: 4mm; }",
+      "th, td { border: 1px solid #999; padding: 1mm 2mm; text-align: left; }",
+      "</style>",
+      "</head>",
+      "<body>",
+      `<h1>${escapeHTML(this.title)}</h1>`,
+      '<div class="plan">',
+      `<p>${room.planksNeeded} boards (${Object.keys(used).map(l => `${used[l]} of length ${u.format(parseFloat(l))}`).join(", ")}), ${room.cuts} cuts, ${room.rips} rip cuts. The top (&gt;) end of each plank faces the ${room.topSide} of the plan. Lengths are in ${u.display}. The scale bar is one board long.</p>`,
+      this.plan(),
+      "</div>",
+      "<h2>Installation order</h2>"
+    ];
+
+    this.steps().forEach((step, ci) => {
+      const col = step.column;
+      let head = `Column ${ci + 1}: ${u.format(col.left - room.leftmost)} from the ${room.startSide} wall, ${u.format(col.height)} long`;
+      if (col.rip_left > 0 || col.rip_right > 0)
+        head += `, rip to ${u.format(col.plankWidth)} wide`;
+      out.push('<div class="column">',
+               `<h3>${escapeHTML(head)}</h3>`,
+               "<table>",
+               "<tr><th>Plank</th><th>Length</th><th>Cut</th><th>From</th><th>Offcut goes to</th></tr>");
+      for (const row of step.planks) {
+        const p = row.plank;
+        const board = mixed && p.board ? ` (${u.format(p.board)})` : "";
+        const cuts = [];
+        if (p.cut_end === "<")
+          cuts.push("cut the bottom end");
+        else if (p.cut_end === ">")
+          cuts.push("cut the top end");
+        else if (p.cut_end === "<>")
+          cuts.push("cut both ends");
+        if (p.mitre_top !== 0)
+          cuts.push(`angle the top end, ${u.format(Math.abs(p.mitre_top))} shorter on the ${p.mitre_top > 0 ? "right" : "left"}`);
+        if (p.mitre_bottom !== 0)
+          cuts.push(`angle the bottom end, ${u.format(Math.abs(p.mitre_bottom))} shorter on the ${p.mitre_bottom > 0 ? "left" : "right"}`);
+        if (p.overlap_top > 0)
+          cuts.push(`scribe the top end to the wall, it runs up to ${u.format(p.overlap_top)} past it`);
+        if (p.overlap_bottom > 0)
+          cuts.push(`scribe the bottom end to the wall, it runs up to ${u.format(p.overlap_bottom)} past it`);
+        const cut = cuts.join(", ");
+        const length = p.angled
+              ? `${u.format(p.length)} long side, ${u.format(p.shortSide)} short side`
+              : u.format(p.length);
+        out.push(`<tr><td>${escapeHTML(p.id + board)}</td><td>${length}</td><td>${cut}</td><td>${escapeHTML(row.from)}</td><td>${escapeHTML(row.offcut)}</td></tr>`);
+      }
+      out.push("</table>", "</div>");
+    });
+
+    // Herringbone and chevron blocks, row by row
+    const rows = [];
+    for (const block of room.blocks)
+      (rows[block.row] ??= []).push(block);
+    rows.forEach((blocks, ri) => {
+      out.push('<div class="column">',
+               `<h3>Row ${ri + 1}</h3>`,
+               "<table>",
+               "<tr><th>Block</th><th>Length</th><th>Cut</th></tr>");
+      for (const block of blocks) {
+        const length = block.cut
+              ? `${u.format(block.longSide)} long side, ${u.format(block.shortSide)} short side`
+              : u.format(block.length);
+        const from = typeof block.from === "undefined"
+              ? "" : `, from the offcut of block ${block.from}`;
+        const cut = block.cut
+              ? `cut to fit, ${block.cuts} ${block.cuts === 1 ? "cut" : "cuts"}${from}`
+              : "";
+        out.push(`<tr><td>${block.id}</td><td>${length}</td><td>${cut}</td></tr>`);
+      }
+      out.push("</table>", "</div>");
+    });
+
+    if (rips.length > 0) {
+      out.push("<h2>Rips</h2>", "<ul>");
+      for (const rip of rips)
+        out.push(`<li>${escapeHTML(rip)}</li>`);
+      out.push("</ul>");
+    }
+
+    const spare = room.partials.map(p => `${p.id} (${u.format(p.length)})`);
+    if (spare.length > 0)
+      out.push("<h2>Spare pieces</h2>", `<p>${escapeHTML(spare.join(", "))}</p>`);
+
+    out.push("</body>", "</html>");
+    return out.join("\n");
+  }
+}
+
+export { CutSheet }
@@ -0,0 +1,43 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+/*
+ * Boards are always laid out top to bottom in "layout" coordinates.
+ * Where a room has a DIRECTION other than 0, the plan of the room is
+ * rotated into layout coordinates before the boards are laid, and
+ * the layout is rotated back to draw it. DIRECTION is the angle,
+ * clockwise from the top of the plan, that the top ends of the
+ * boards point in.
+ */
+
+/**
+ * Rotate a point on the plan into layout coordinates
+ * @param {object} p point {x:number, y:number}
+ * @param {number} direction 0, 90, 180 or 270
+ * @return {object} rotated point {x:number, y:number}
+ */
+function toLayout(p, direction) {
+  switch (direction) {
+  case 90: return { x: p.y, y: -p.x };
+  case 180: return { x: -p.x, y: -p.y };
+  case 270: return { x: -p.y, y: p.x };
+  default: return { x: p.x, y: p.y };
+  }
+}
+
+/**
+ * Rotate a point in layout coordinates back onto the plan
+ * @param {object} p point {x:number, y:number}
+ * @param {number} direction 0, 90, 180 or 270
+ * @return {object} rotated point {x:number, y:number}
+ */
+function toPlan(p, direction) {
+  switch (direction) {
+  case 90: return { x: -p.y, y: p.x };
+  case 180: return { x: -p.x, y: -p.y };
+  case 270: return { x: p.y, y: -p.x };
+  default: return { x: p.x, y: p.y };
+  }
+}
+
+export { toLayout, toPlan }
@@ -0,0 +1,60 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+/**
+ * Class of horizontal edges. We're only interested in this subset of
+ * the room polygon, because these are the edges that limit board length.
+ * Sloped edges (diagonal walls) are included too, as they also limit
+ * board length; vertical edges are not.
+ */
+class HEdge {
+
+  /*
+   * @param {HEdge|object} attrs attributes
+   * @param {number} attrs.left end of the edge
+   * @param {number} attrs.right right end of the edge
+   * @param {number} attrs.y level of the edge, at the left end
+   * @param {number} attrs.slope change in y for each unit of x, 0
+   * for a horizontal edge
+   */
+  constructor(attrs) {
+    /**
+     * Left end of this edge
+     * @member {number}
+     */
+    this.left = attrs.left ?? 0;
+
+    /**
+     * Right end of this edge
+     * @member {number}
+     */
+    this.right = attrs.right ?? 0;
+
+    /**
+     * Y for this edge, at the left end
+     * @member {number}
+     */
+    this.y = attrs.y ?? 0;
+
+    /**
+     * Change in y for each unit of x
+     * @member {number}
+     */
+    this.slope = attrs.slope ?? 0;
+  }
+
+  /**
+   * Get the y of the edge at a point along it
+   * @param {number} x the x coordinate
+   * @return {number} the y coordinate
+   */
+  yAt(x) {
+    return this.y + this.slope * (x - this.left);
+  }
+
+  toString() {
+    return `${this.left}-${this.right},${this.y}${this.slope !== 0 ? `/${this.slope}` : ""}`;
+  }
+}
+
+export { HEdge }
@@ -0,0 +1,103 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+/**
+ * Undo/redo history of room layouts. Each entry is a snapshot
+ * of the room, as generated by Room.snapshot().
+ */
+class History {
+
+  /**
+   * @param {number} limit maximum number of entries to keep
+   */
+  constructor(limit = 100) {
+    /**
+     * Maximum number of entries
+     * @member {number}
+     * @private
+     */
+    this.limit = limit;
+
+    /**
+     * Snapshots, oldest first
+     * @member {object[]}
+     * @private
+     */
+    this.stack = [];
+
+    /**
+     * Index of the current snapshot in the stack
+     * @member {number}
+     * @private
+     */
+    this.current = -1;
+  }
+
+  /**
+   * Clear the history
+   */
+  clear() {
+    this.stack = [];
+    this.current = -1;
+  }
+
+  /**
+   * Record a new layout state. Any states that were undone are lost.
+   * @param {object} snap snapshot to record
+   * @param {string} what description of the change that led to
+   * this state
+   */
+  push(snap, what) {
+    this.stack.splice(this.current + 1);
+    this.stack.push({ snap: snap, what: what });
+    if (this.stack.length > this.limit)
+      this.stack.shift();
+    this.current = this.stack.length - 1;
+  }
+
+  /**
+   * @return {boolean} true if there is a state to undo to
+   */
+  canUndo() {
+    return this.current > 0;
+  }
+
+  /**
+   * @return {boolean} true if there is a state to redo to
+   */
+  canRedo() {
+    return this.current < this.stack.length - 1;
+  }
+
+  /**
+   * Step back to the previous state
+   * @return {object?} the snapshot to restore, or undefined if there
+   * is nothing to undo
+   */
+  undo() {
+    if (!this.canUndo())
+      return undefined;
+    return this.stack[--this.current].snap;
+  }
+
+  /**
+   * Step forward to the next state
+   * @return {object?} the snapshot to restore, or undefined if there
+   * is nothing to redo
+   */
+  redo() {
+    if (!this.canRedo())
+      return undefined;
+    return this.stack[++this.current].snap;
+  }
+
+  /**
+   * Describe the change that led to the current state
+   * @return {string} description
+   */
+  get what() {
+    return this.current >= 0 ? this.stack[this.current].what : "";
+  }
+}
+
+export { History }
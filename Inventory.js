@@ -0,0 +1,244 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+import { Plank } from "./Plank.js";
+import { Units } from "./Units.js";
+
+/**
+ * A named inventory of real offcuts, such as the bin of offcuts kept
+ * on site, that lasts between sessions and jobs. Any room can draw on
+ * it, and when a layout is finalised the offcuts it used are taken out
+ * and the offcuts it leaves over are put in.
+ *
+ * The inventory is kept in a Storage (such as the browser's
+ * localStorage) under a key made from its name, and can be exported
+ * and imported as JSON. Lengths and widths in the inventory are in cm,
+ * whatever units the rooms are measured in.
+ */
+class Inventory {
+
+  /**
+   * Prefix of the storage keys of inventories
+   */
+  static KEY = "Floorboards inventory";
+
+  /**
+   * Cut ends an offcut can have, as Plank.cut_end
+   */
+  static CUT_ENDS = [ "", "<", ">", "<>" ];
+
+  /**
+   * @param {string} name name of the inventory
+   * @param {Storage?} storage where to keep the inventory, e.g.
+   * localStorage. If not given the inventory is not kept.
+   */
+  constructor(name = "offcuts", storage) {
+    /**
+     * Name of the inventory
+     * @member {string}
+     */
+    this.name = name;
+
+    /**
+     * Where the inventory is kept
+     * @member {Storage}
+     * @private
+     */
+    this.storage = storage;
+
+    /**
+     * The offcuts in the inventory, each {id:number, length:number,
+     * width:number, cut_end:string, notes:string}
+     * @member {object[]}
+     */
+    this.pieces = [];
+
+    this.load();
+  }
+
+  /**
+   * Key the inventory is stored under
+   * @member {string}
+   */
+  get key() {
+    return `${Inventory.KEY}: ${this.name}`;
+  }
+
+  /**
+   * Load the inventory from storage. An inventory that has never been
+   * saved is empty.
+   */
+  load() {
+    const json = this.storage ? this.storage.getItem(this.key) : null;
+    this.pieces = [];
+    if (json)
+      this.import(JSON.parse(json), false);
+  }
+
+  /**
+   * Save the inventory to storage
+   */
+  save() {
+    if (this.storage)
+      this.storage.setItem(this.key, JSON.stringify(this));
+  }
+
+  /**
+   * Get the inventory for export as JSON
+   * @return {object} {name:string, pieces:object[]}
+   */
+  toJSON() {
+    return { name: this.name, pieces: this.pieces };
+  }
+
+  /**
+   * Replace the offcuts in the inventory with those from an exported
+   * inventory. The name of the inventory is not changed.
+   * @param {object} data inventory, as exported by toJSON()
+   * @param {boolean} save false to not save the inventory afterwards
+   * @throws {Error} if the data is not a valid inventory
+   */
+  import(data, save = true) {
+    if (!data || !Array.isArray(data.pieces))
+      throw new Error("not an offcut inventory");
+    const errors = [];
+    data.pieces.forEach((piece, i) => {
+      const name = piece.id ?? `#${i}`;
+      if (!(piece.length > 0))
+        errors.push(`offcut ${name}: length must be more than 0`);
+      if (!(piece.width > 0))
+        errors.push(`offcut ${name}: width must be more than 0`);
+      if (!Inventory.CUT_ENDS.includes(piece.cut_end ?? ""))
+        errors.push(`offcut ${name}: cut end '${piece.cut_end}' is not one of "", "<", ">" or "<>"`);
+    });
+    if (errors.length > 0)
+      throw new Error(errors.join("\n"));
+    this.pieces = [];
+    for (const piece of data.pieces)
+      this.add(piece, false);
+    if (save)
+      this.save();
+  }
+
+  /**
+   * Add an offcut to the inventory
+   * @param {object} attrs the offcut
+   * @param {number} attrs.length length, in cm
+   * @param {number} attrs.width width, in cm
+   * @param {string} attrs.cut_end cut end, as Plank.cut_end
+   * @param {string} attrs.notes notes about the offcut
+   * @param {number} attrs.id optional, id of the offcut. A new one is
+   * made if it's not given, or is already in use.
+   * @param {boolean} save false to not save the inventory afterwards
+   * @return {object} the offcut added
+   */
+  add(attrs, save = true) {
+    let id = attrs.id;
+    if (typeof id !== "number" || this.pieces.some(p => p.id === id))
+      id = this.pieces.reduce((m, p) => Math.max(m, p.id), 0) + 1;
+    const piece = {
+      id: id,
+      length: attrs.length,
+      width: attrs.width,
+      cut_end: attrs.cut_end ?? "",
+      notes: attrs.notes ?? ""
+    };
+    this.pieces.push(piece);
+    if (save)
+      this.save();
+    return piece;
+  }
+
+  /**
+   * Remove an offcut from the inventory
+   * @param {number} id id of the offcut
+   * @return {object?} the offcut removed, undefined if it wasn't found
+   */
+  remove(id) {
+    const i = this.pieces.findIndex(p => p.id === id);
+    if (i < 0)
+      return undefined;
+    const piece = this.pieces.splice(i, 1)[0];
+    this.save();
+    return piece;
+  }
+
+  /**
+   * Get offcuts from the inventory that a room can use, as user
+   * partials. Unlike other user partials, the layout can cut them to
+   * fit, the same as its own offcuts. Offcuts are only offered if they
+   * are the same width as the room's planks, and are not already in
+   * the room.
+   * @param {Room} room the room
+   * @param {number[]?} ids if given, only offer these offcuts
+   * @return {Plank[]} planks for the offcuts, in the room's units,
+   * ready to add to the room's partials
+   */
+  planks(room, ids) {
+    const scale = Units.UNITS[room.units.input];
+    const inRoom = {};
+    for (const plank of room.partials.concat(
+      ...room.columns.map(col => col.planks)))
+      if (typeof plank.inventory === "number")
+        inRoom[plank.inventory] = true;
+    return this.pieces
+    .filter(p => (!ids || ids.includes(p.id)) && !inRoom[p.id]
+            && Math.abs(p.width / scale - room.PLANK_WIDTH) < 1e-6)
+    .map(p => new Plank({
+      length: p.length / scale,
+      width: room.PLANK_WIDTH,
+      cut_end: p.cut_end,
+      permanent: true,
+      inventory: p.id
+    }));
+  }
+
+  /**
+   * Finalise a layout. Offcuts from the inventory that are laid in
+   * the room, whole or cut, are taken out, and the offcuts left over
+   * from the layout (including what's left of offcuts from the
+   * inventory that were cut) are put in. The room's planks and
+   * partials are marked as they go, so finalising the same layout
+   * again changes nothing.
+   * @param {Room} room the room, laid out
+   * @param {string} notes notes for the offcuts put in, e.g. the room
+   * they came from
+   * @return {object} {used:object[], added:object[]}, the offcuts
+   * taken out and put in
+   */
+  finalise(room, notes = "") {
+    const scale = Units.UNITS[room.units.input];
+    // Put the leftovers in before taking the used offcuts out, so
+    // they don't get the ids of the offcuts taken out
+    const added = [];
+    for (const plank of room.partials)
+      if (plank.permanent ? plank.uncut
+          : typeof plank.inventory !== "number") {
+        const piece = this.add({
+          length: plank.length * scale,
+          // Partials that have never been laid have no width yet
+          width: (plank.width > 0 ? plank.width : room.PLANK_WIDTH) * scale,
+          cut_end: plank.cut_end,
+          notes: notes
+        }, false);
+        // It's in the inventory now
+        plank.inventory = piece.id;
+        plank.uncut = undefined;
+        added.push(piece);
+      }
+    const used = [];
+    for (const col of room.columns)
+      for (const plank of col.planks)
+        if (typeof plank.inventory === "number") {
+          const i = this.pieces.findIndex(p => p.id === plank.inventory);
+          if (i >= 0)
+            used.push(...this.pieces.splice(i, 1));
+          // It's out of the inventory, so it stays as it was cut
+          plank.uncut = undefined;
+        }
+    this.save();
+    return { used: used, added: added };
+  }
+}
+
+export { Inventory }
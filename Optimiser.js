@@ -0,0 +1,110 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+import { Room } from "./Room.js";
+
+/**
+ * Search for a good layout, by trying different START_TOP offsets,
+ * choices of partials, and orderings of columns, and scoring the
+ * results using Room.score(). This is an alternative to the single
+ * greedy pass plus random shuffles offered by Room.
+ */
+class Optimiser {
+
+  /**
+   * @param {Room} room the room to optimise
+   * @param {object} options options
+   * @param {number} options.iterations maximum number of layouts
+   * to try
+   * @param {number} options.time maximum time to search, in ms
+   * @param {object} options.weights weights for the score, as
+   * Room.WEIGHTS
+   * @param {function} options.rand random number generator, as
+   * Math.random. Pass a seeded generator (see Random.js) and an
+   * iteration budget to make the search repeatable.
+   */
+  constructor(room, options = {}) {
+    /**
+     * The room being optimised
+     * @member {Room}
+     */
+    this.room = room;
+
+    /**
+     * Maximum number of layouts to try
+     * @member {number}
+     */
+    this.iterations = options.iterations ?? 500;
+
+    /**
+     * Maximum time to spend, in ms
+     * @member {number}
+     */
+    this.time = options.time ?? 2000;
+
+    /**
+     * Weights for the score
+     * @member {object}
+     */
+    this.weights = options.weights ?? Room.WEIGHTS;
+
+    /**
+     * Random number generator
+     * @member {function}
+     */
+    this.rand = options.rand ?? Math.random;
+  }
+
+  /**
+   * Try a random variation on the layout. The variation is recorded
+   * in the room (START_TOP, layoutSeed and seeds), so the layout can
+   * be reproduced from the saved room.
+   * @private
+   */
+  vary() {
+    const room = this.room;
+    const longest = Math.max(...room.boardLengths().map(b => b.length));
+    const seed = () => Math.floor(this.rand() * 0x100000000);
+    // Half the time, keep the user's START_TOP
+    if (this.rand() < 0.5)
+      room.START_TOP = Math.round(this.rand() * longest);
+    room.recomputeFloor(this.rand() < 0.5 ? seed() : undefined);
+    const shuffles = Math.floor(this.rand() * 4);
+    for (let i = 0; i < shuffles; i++)
+      room.shuffle(seed());
+  }
+
+  /**
+   * Run the search. On return the room will have the best layout found.
+   * @return {object} the score of the best layout found (as
+   * Room.score()), plus `iterations`, the number of layouts tried.
+   */
+  optimise() {
+    const room = this.room;
+    const start_top = room.START_TOP;
+
+    // Start from a fresh greedy layout
+    room.recomputeFloor();
+    let best = room.snapshot();
+    let bestScore = room.score(this.weights);
+
+    const stop = Date.now() + this.time;
+    let i = 0;
+    while (i < this.iterations && Date.now() < stop) {
+      room.START_TOP = start_top;
+      this.vary();
+      const score = room.score(this.weights);
+      if (score.total < bestScore.total) {
+        best = room.snapshot();
+        bestScore = score;
+      }
+      i++;
+    }
+
+    room.restore(best);
+    bestScore.iterations = i;
+    return bestScore;
+  }
+}
+
+export { Optimiser }
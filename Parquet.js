@@ -0,0 +1,319 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+import { Block } from "./Block.js";
+
+/**
+ * Signed area of a polygon
+ * @param {object[]} vs vertices of the polygon
+ * @return {number} the area, positive if the vertices go clockwise
+ * (in screen coordinates)
+ * @private
+ */
+function signedArea(vs) {
+  let area = 0;
+  for (let i = 0; i < vs.length; i++) {
+    const a = vs[i], b = vs[(i + 1) % vs.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
+
+/**
+ * Clip a polygon to a convex polygon (Sutherland-Hodgman). The
+ * polygon being clipped can be concave; the result may then have
+ * edges that double back along the edges of the clip polygon, but
+ * its area is right.
+ * @param {object[]} vs vertices of the polygon to clip
+ * @param {object[]} clip vertices of the convex clip polygon
+ * @return {object[]} vertices of the clipped polygon, empty if the
+ * polygons don't overlap
+ * @private
+ */
+function clipToConvex(vs, clip) {
+  const sense = Math.sign(signedArea(clip));
+  let out = vs;
+  for (let i = 0; i < clip.length && out.length > 0; i++) {
+    const a = clip[i], b = clip[(i + 1) % clip.length];
+    const side = p => sense * ((b.x - a.x) * (p.y - a.y)
+                               - (b.y - a.y) * (p.x - a.x));
+    const input = out;
+    out = [];
+    for (let j = 0; j < input.length; j++) {
+      const p = input[j], q = input[(j + 1) % input.length];
+      const sp = side(p), sq = side(q);
+      if (sp >= 0)
+        out.push(p);
+      if ((sp >= 0) !== (sq >= 0)) {
+        const t = sp / (sp - sq);
+        out.push({ x: p.x + t * (q.x - p.x), y: p.y + t * (q.y - p.y) });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Is a point inside a polygon? Points on the boundary may go either way.
+ * @param {object} p {x:number, y:number}
+ * @param {object[]} vs vertices of the polygon
+ * @return {boolean} true if inside
+ * @private
+ */
+function inside(p, vs) {
+  let inside = false;
+  for (let i = 0, j = vs.length - 1; i < vs.length; j = i++) {
+    const a = vs[i], b = vs[j];
+    if ((a.y > p.y) !== (b.y > p.y)
+        && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x)
+      inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Find how much of a side of a block is on the floor
+ * @param {object} p start of the side
+ * @param {object} q end of the side
+ * @param {object} c centre of the block
+ * @param {object[][]} rooms polygons of the floor
+ * @param {object[][]} holes polygons of the holes in the floor
+ * @return {number} length of the parts of the segment on the floor
+ * @private
+ */
+function lengthOnFloor(p, q, c, rooms, holes) {
+  const dx = q.x - p.x, dy = q.y - p.y;
+  const ts = [ 0, 1 ];
+  for (const vs of rooms.concat(holes))
+    for (let i = 0; i < vs.length; i++) {
+      const a = vs[i], b = vs[(i + 1) % vs.length];
+      const ex = b.x - a.x, ey = b.y - a.y;
+      const den = dx * ey - dy * ex;
+      if (den === 0)
+        continue;
+      const t = ((a.x - p.x) * ey - (a.y - p.y) * ex) / den;
+      const u = ((a.x - p.x) * dy - (a.y - p.y) * dx) / den;
+      if (t > 0 && t < 1 && u >= 0 && u <= 1)
+        ts.push(t);
+    }
+  ts.sort((a, b) => a - b);
+  let length = 0;
+  for (let i = 1; i < ts.length; i++) {
+    const m = (ts[i - 1] + ts[i]) / 2;
+    // Nudge the test point into the block, so sides that run
+    // along a wall count as on the floor
+    const mid = { x: p.x + m * dx, y: p.y + m * dy };
+    mid.x += (c.x - mid.x) * 1e-6;
+    mid.y += (c.y - mid.y) * 1e-6;
+    if (rooms.some(vs => inside(mid, vs)) && !holes.some(vs => inside(mid, vs)))
+      length += ts[i] - ts[i - 1];
+  }
+  return length * Math.hypot(dx, dy);
+}
+
+/**
+ * Parquet patterns. Rather than running in columns, rectangular
+ * blocks (the boards) are laid at an angle: a herringbone pattern, in
+ * which the end of each block butts the side of the next, or a chevron
+ * pattern, where the ends of the blocks are cut at an angle so
+ * they meet in a straight line. The pattern runs along the layout
+ * (top to bottom of the plan, unless DIRECTION says otherwise), is
+ * positioned by START_LEFT and START_TOP, and blocks that cross the
+ * edge of the floor are cut to fit.
+ */
+class Parquet {
+
+  /**
+   * @param {Room} room the room to lay. The block size is given by
+   * PLANK_LENGTH and PLANK_WIDTH. For a herringbone the blocks are at
+   * PATTERN_ANGLE to the direction of the pattern. For a chevron, the
+   * long sides of the blocks are at PATTERN_ANGLE to the direction of
+   * the pattern, and PLANK_LENGTH is the length of the long sides.
+   */
+  constructor(room) {
+    /**
+     * The room
+     * @member {Room}
+     */
+    this.room = room;
+  }
+
+  /**
+   * Work out the corners of the whole blocks in the pattern, covering
+   * the room
+   * @return {object[][]} list of rows of blocks, each block being
+   * a list of corners as for Block
+   * @private
+   */
+  pattern() {
+    const room = this.room;
+    const L = room.PLANK_LENGTH, W = room.PLANK_WIDTH;
+    const x0 = room.leftmost + room.START_LEFT;
+    const y0 = room.topmost + room.START_TOP;
+    const rows = [];
+
+    if (room.PATTERN === "chevron") {
+      const a = room.PATTERN_ANGLE * Math.PI / 180;
+      const h = L * Math.sin(a); // width of a column
+      const rise = L * Math.cos(a); // drop from one end to the other
+      const e = W / Math.sin(a); // length of an end
+      const kMin = Math.floor((room.leftmost - x0) / h);
+      const kMax = Math.ceil((room.rightmost - x0) / h);
+      const jMin = Math.floor((room.topmost - y0 - rise) / e) - 1;
+      const jMax = Math.ceil((room.bottommost - y0) / e) + 1;
+      for (let k = kMin; k < kMax; k++) {
+        const xl = x0 + k * h, xr = xl + h;
+        // Alternate columns lean opposite ways
+        const [ dl, dr ] = (k % 2 + 2) % 2 === 0 ? [ 0, rise ] : [ rise, 0 ];
+        const row = [];
+        for (let j = jMin; j <= jMax; j++) {
+          const y = y0 + j * e;
+          row.push([
+            { x: xl, y: y + dl }, { x: xr, y: y + dr },
+            { x: xr, y: y + dr + e }, { x: xl, y: y + dl + e }
+          ]);
+        }
+        rows.push(row);
+      }
+      return rows;
+    }
+
+    // Herringbone. Pairs of blocks, one along the pattern and one
+    // across it, are stepped along a zigzag strip by (W, W), and the
+    // strips are offset by (L, -L). The whole thing is turned so the
+    // strips run down the layout.
+    const a = room.PATTERN_ANGLE * Math.PI / 180;
+    const cos = Math.cos(a), sin = Math.sin(a);
+    const turn = (x, y) => ({ x: x0 + x * cos - y * sin, y: y0 + x * sin + y * cos });
+    const t1 = turn(W, W), t2 = turn(L, -L);
+    const u = { x: t1.x - x0, y: t1.y - y0 }, v = { x: t2.x - x0, y: t2.y - y0 };
+
+    // Find the range of steps (n) and strips (m) that covers the room.
+    // A pair of blocks reaches up to L + W from where it starts, which
+    // is about L / W steps.
+    const det = u.x * v.y - u.y * v.x;
+    const ns = [], ms = [];
+    for (const x of [ room.leftmost, room.rightmost ])
+      for (const y of [ room.topmost, room.bottommost ]) {
+        const px = x - x0, py = y - y0;
+        ns.push((px * v.y - py * v.x) / det);
+        ms.push((u.x * py - u.y * px) / det);
+      }
+    const reach = Math.ceil(L / W) + 2;
+    const nMin = Math.floor(Math.min(...ns)) - reach;
+    const nMax = Math.ceil(Math.max(...ns)) + reach;
+    const mMin = Math.floor(Math.min(...ms)) - 2, mMax = Math.ceil(Math.max(...ms)) + 2;
+    for (let m = mMin; m <= mMax; m++) {
+      const row = [];
+      for (let n = nMin; n <= nMax; n++) {
+        const ox = n * W + m * L, oy = n * W - m * L;
+        // Block along u, then block along v. Long sides are 0-1 and 3-2.
+        row.push([ turn(ox, oy), turn(ox + L, oy),
+                   turn(ox + L, oy + W), turn(ox, oy + W) ]);
+        row.push([ turn(ox, oy + W), turn(ox, oy + W + L),
+                   turn(ox + W, oy + W + L), turn(ox + W, oy + W) ]);
+      }
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Lay the pattern, clipping it to the floor
+   * @return {Block[]} the blocks laid, in installation order, row by
+   * row. Blocks that would not be on the floor are left out, as are
+   * slivers covering less than a tenth of MIN_PLANK_LENGTH, which
+   * are left to the skirting. Blocks that are cut to fit are cut from
+   * offcuts where possible (see useOffcuts).
+   */
+  lay() {
+    const room = this.room;
+    const L = room.PLANK_LENGTH, W = room.PLANK_WIDTH;
+    const boundary = room.boundary();
+    const rooms = boundary.rooms.map(vs => vs.map(v => room.toLayout(v)));
+    const holes = boundary.holes.map(vs => vs.map(v => room.toLayout(v)));
+    const full = L * W;
+
+    const blocks = [];
+    let id = 1, row = 0;
+    for (const corners of this.pattern()) {
+      let laid = false;
+      for (const block of corners) {
+        const xs = block.map(p => p.x), ys = block.map(p => p.y);
+        if (Math.max(...xs) <= room.leftmost || Math.min(...xs) >= room.rightmost
+            || Math.max(...ys) <= room.topmost || Math.min(...ys) >= room.bottommost)
+          continue;
+        let area = 0, piece = [];
+        for (const vs of rooms) {
+          const clipped = clipToConvex(vs, block);
+          const a = Math.abs(signedArea(clipped));
+          if (a > area) {
+            area = a;
+            piece = clipped;
+          }
+        }
+        area = rooms.reduce(
+          (t, vs) => t + Math.abs(signedArea(clipToConvex(vs, block))), 0)
+        - holes.reduce(
+          (t, vs) => t + Math.abs(signedArea(clipToConvex(vs, block))), 0);
+        if (area <= full * 1e-6 || area < W * room.MIN_PLANK_LENGTH / 10)
+          continue;
+        if (area >= full * (1 - 1e-6))
+          piece = block;
+        const centre = {
+          x: (block[0].x + block[2].x) / 2, y: (block[0].y + block[2].y) / 2
+        };
+        blocks.push(new Block({
+          id: id++, row: row, length: L, width: W,
+          corners: block, piece: piece, area: Math.min(area, full),
+          sides: [ lengthOnFloor(block[0], block[1], centre, rooms, holes),
+                   lengthOnFloor(block[3], block[2], centre, rooms, holes) ]
+        }));
+        laid = true;
+      }
+      if (laid)
+        row++;
+    }
+    this.useOffcuts(blocks);
+    return blocks;
+  }
+
+  /**
+   * Cut blocks from the offcuts of the boards that earlier blocks were
+   * cut from, where there is one long enough, as columns do. The
+   * shortest offcut that will do is used. What is left of a board is
+   * kept as an offcut if it is at least MIN_PLANK_LENGTH long. The
+   * ends of chevron blocks are angled, so an offcut can only be used
+   * for a block that leans the same way.
+   * @param {Block[]} blocks the blocks, in installation order. Blocks
+   * cut from offcuts are given the id of the block they come `from`.
+   * @private
+   */
+  useOffcuts(blocks) {
+    const room = this.room;
+    const offcuts = [];
+    for (const block of blocks) {
+      if (!block.cut)
+        continue;
+      const need = block.longSide;
+      const lean = room.PATTERN === "chevron"
+            ? Math.sign(block.corners[1].y - block.corners[0].y) : 0;
+      let best;
+      for (const offcut of offcuts)
+        if (offcut.lean === lean && offcut.length >= need
+            && !(best && best.length <= offcut.length))
+          best = offcut;
+      let over;
+      if (best) {
+        offcuts.splice(offcuts.indexOf(best), 1);
+        block.from = best.id;
+        over = best.length - need - room.CUT_THICKNESS;
+      } else
+        over = block.length - need - room.CUT_THICKNESS;
+      if (over >= room.MIN_PLANK_LENGTH)
+        offcuts.push({ id: block.from ?? block.id, length: over, lean: lean });
+    }
+  }
+}
+
+export { Parquet }
@@ -0,0 +1,282 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+/**
+ * Planks are laid into columns
+ */
+class Plank {
+
+  static NEXT = 1;
+  static UID = 0;
+
+  /**
+   * @param {Plank|object} attrs plank attributes
+   * @param {number} attrs.left left of the plank
+   * @param {number} attrs.top top of the plank
+   * @param {number} attrs.width width of the plank
+   * @param {number} attrs.length top of the plank
+   * @param {number} attrs.board length of the full board the plank
+   * was cut from (undefined for user partials)
+   * @param {string} attrs.id identifier for the plank
+   * @param {string} attrs.cut_end cut end, "" (neither end), ">" (top end),
+   * "<" (bottom end) or "<>" (both ends)
+   * @param {number} attrs.rip_left amount ripped off the left side
+   * @param {number} attrs.rip_right amount ripped off the right side
+   * @param {number} attrs.mitre_top angle of the top end, see mitre_top
+   * @param {number} attrs.mitre_bottom angle of the bottom end, see
+   * mitre_bottom
+   * @param {number} attrs.overlap_top see overlap_top
+   * @param {number} attrs.overlap_bottom see overlap_bottom
+   * @param {boolean} attrs.permanent true if the plank has
+   * to be retained in the partial plank set on re-layout
+   * @param {boolean} attrs.offcut true if the plank is the offcut
+   * left when another plank was cut from a board
+   * @param {number} attrs.inventory id of the offcut in the Inventory
+   * the plank was taken from, if any
+   * @param {object} attrs.uncut the offcut from the Inventory before
+   * it was cut, see uncut
+   */
+  constructor(attrs) {
+    /**
+     * Internal ID for plank, used to identify planks
+     */
+    this.uid = Plank.UID++;
+
+    /**
+     * User identifier for this plank, a simple number
+     * @member {number}
+     */
+    this.id = attrs.id ?? Plank.NEXT++;
+
+    /**
+     * Which end of this plank is cut (blank if it's a whole plank,
+     * "<>" if it was cut from the middle of a board)
+     * @member {string}
+     */
+    this.cut_end = attrs.cut_end ?? "";
+
+    /**
+     * Where the plank is. This will be 0 until the plank is actually
+     * placed.
+     * @member {number}
+     */
+    this.left = attrs.left ?? 0;
+
+    /**
+     * Where the plank is. This will be 0 until the plank is actually
+     * placed.
+     * @member {number}
+     */
+    this.top = attrs.top ?? 0;
+
+    /**
+     * How big it is. All planks will be the same width as the
+     * column (which will be Room.PLANK_WIDTH) unless they have been
+     * ripped to fit against a wall.
+     * @member {number}
+     */
+    this.width = attrs.width ?? 0;
+
+    /**
+     * Length of this piece of plank
+     * @member {number}
+     */
+    this.length = attrs.length ?? 0;
+
+    /**
+     * Length of the full board this plank came from. Undefined for
+     * partials added by the user.
+     * @member {number}
+     */
+    this.board = attrs.board;
+
+    /**
+     * Amount ripped off the left side of the plank along its length,
+     * where it has to fit against a wall
+     * @member {number}
+     */
+    this.rip_left = attrs.rip_left ?? 0;
+
+    /**
+     * Amount ripped off the right side of the plank along its length
+     * @member {number}
+     */
+    this.rip_right = attrs.rip_right ?? 0;
+
+    /**
+     * Where the top end is cut at an angle to fit a sloped wall, how
+     * much further down the cut is at the right side of the plank
+     * than at the left (negative if it's further up). 0 for a square
+     * end. The length of the plank is measured along its longer side.
+     * @member {number}
+     */
+    this.mitre_top = attrs.mitre_top ?? 0;
+
+    /**
+     * Where the bottom end is cut at an angle, how much further down
+     * the cut is at the right side of the plank than at the left. 0
+     * for a square end.
+     * @member {number}
+     */
+    this.mitre_bottom = attrs.mitre_bottom ?? 0;
+
+    /**
+     * Where the top end meets a wall that turns a corner across the
+     * plank, so it can't be cut to fit with a single straight cut,
+     * how far the square end runs past the wall. It has to be scribed
+     * to fit. 0 if the end fits.
+     * @member {number}
+     */
+    this.overlap_top = attrs.overlap_top ?? 0;
+
+    /**
+     * As overlap_top, for the bottom end
+     * @member {number}
+     */
+    this.overlap_bottom = attrs.overlap_bottom ?? 0;
+
+    /**
+     * If the plank has to be retained in the partial plank set on re-layout.
+     * Permanent partials are added by the user and are assumed to be required
+     * between layout runs.
+     */
+    this.permanent = attrs.permanent ?? false;
+
+    /**
+     * True if the plank is the offcut left over when another plank
+     * (with the same id) was cut from a new board, rather than being
+     * cut from a new board itself. Offcuts were always top (">") pieces
+     * before this was recorded, so that's the default.
+     * @member {boolean}
+     */
+    this.offcut = attrs.offcut ?? this.cut_end === ">";
+
+    /**
+     * Id of the offcut in the Inventory the plank was taken from, or
+     * undefined if it wasn't taken from an inventory
+     * @member {number?}
+     */
+    this.inventory = attrs.inventory;
+
+    /**
+     * Where an offcut from the Inventory has been cut to fit, the
+     * {length:number, cut_end:string} it had before it was cut.
+     * The pieces cut from it share its inventory id, and it is put
+     * back together when the room is laid out again.
+     * @member {object?}
+     */
+    this.uncut = attrs.uncut;
+  }
+
+  get bottom() { return this.top + this.length; }
+
+  get middle() { return this.top + this.length / 2; }
+
+  get right() { return this.left + this.width; }
+
+  get centre() { return this.left + this.width / 2; }
+
+  /**
+   * Is either end of the plank cut at an angle?
+   * @member {boolean}
+   */
+  get angled() {
+    return this.mitre_top !== 0 || this.mitre_bottom !== 0;
+  }
+
+  /**
+   * Does either end of the plank run past a wall?
+   * @member {boolean}
+   */
+  get overlaps() {
+    return this.overlap_top > 0 || this.overlap_bottom > 0;
+  }
+
+  /**
+   * Corners of the plank, clockwise from top left, allowing for
+   * angled ends
+   * @member {object[]}
+   */
+  get corners() {
+    return [
+      { x: this.left, y: this.top + Math.max(0, -this.mitre_top) },
+      { x: this.right, y: this.top + Math.max(0, this.mitre_top) },
+      { x: this.right, y: this.bottom - Math.max(0, -this.mitre_bottom) },
+      { x: this.left, y: this.bottom - Math.max(0, this.mitre_bottom) }
+    ];
+  }
+
+  /**
+   * Length of the shorter side of the plank, which is the same as
+   * the length unless an end is cut at an angle
+   * @member {number}
+   */
+  get shortSide() {
+    const c = this.corners;
+    return Math.max(0, Math.min(c[3].y - c[0].y, c[2].y - c[1].y));
+  }
+
+  /**
+   * Average of the lengths of the two sides, so the length times
+   * the width is the area covered
+   * @member {number}
+   */
+  get meanLength() {
+    const c = this.corners;
+    return (c[3].y - c[0].y + c[2].y - c[1].y) / 2;
+  }
+
+  /**
+   * Description of the sides ripped, "" if the plank isn't ripped
+   * @return {string} "left", "right", or "left and right"
+   */
+  get ripped() {
+    return [ this.rip_left > 0 ? "left" : "", this.rip_right > 0 ? "right" : "" ]
+    .filter(s => s !== "").join(" and ");
+  }
+
+  /**
+   * @param {Surface} surf
+   * @param {function?} showBoard if given, label the plank with the
+   * length of the board it came from, formatted by this function
+   */
+  draw(surf, showBoard) {
+    // Create a group to hold the plank and the ID string. This is
+    // only done to make it easier to manipulate in an exported SVG.
+    surf.openGroup();
+
+    // Draw the plank
+    const colour = this.permanent ? "red" : "none";
+    (this.angled
+     ? surf.drawPolygon(this.corners)
+     : surf.drawRect(this.left, this.top, this.width, this.length))
+    .fill({ color: colour, opacity: 0.1 })
+    .stroke(this.overlaps ? { color: "red", opacity: 0.5, width: 1 }
+            : { color: "black", opacity: 0.1, width: 1 });
+
+    // Mark ripped edges
+    const c = this.corners;
+    if (this.rip_left > 0)
+      surf.drawLine(this.left, c[0].y, this.left, c[3].y)
+      .stroke({ color: "blue", opacity: 0.5, width: 0.5, dasharray: "2,1" });
+    if (this.rip_right > 0)
+      surf.drawLine(this.right, c[1].y, this.right, c[2].y)
+      .stroke({ color: "blue", opacity: 0.5, width: 0.5, dasharray: "2,1" });
+
+    // Annotate with the ID
+    const fore = this.cut_end.includes("<") ? "<" : "";
+    const aft = this.cut_end.includes(">") ? ">" : "";
+    const board = showBoard && this.board ? ` (${showBoard(this.board)})` : "";
+    surf.drawText(
+      `${fore}${this.id}${aft}${board}`,
+      this.centre, this.middle, 3 * this.width / 4, -90);
+
+    surf.closeGroup();
+  }
+  
+  toString() {
+    return `${this.id} ${this.cut_end} ${this.length}cm`;
+  }
+}
+
+export { Plank }
@@ -0,0 +1,409 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+import { Plank } from "./Plank.js";
+import { Room } from "./Room.js";
+import { Units } from "./Units.js";
+
+/**
+ * A project is a set of rooms, positioned relative to each other,
+ * that are floored using the same boards. Rooms are laid one after
+ * the other, and partial planks left over from one room are carried
+ * over to the next. Rooms joined by a continuous doorway are laid
+ * together as a single floor, so boards run through the doorway
+ * from one room to the next.
+ */
+class Project {
+
+  /**
+   * Names of the parameters that describe the boards, and are shared
+   * by all the rooms in the project. Other parameters (START_LEFT,
+   * START_TOP, DIRECTION, EXPANSION_GAP, PATTERN, BOND,
+   * PATTERN_ANGLE) are taken from the
+   * individual rooms, or from the first room in a run of joined
+   * rooms.
+   */
+  static SPEC = [
+    "PLANK_WIDTH", "PLANK_LENGTH", "CUT_THICKNESS", "MIN_PLANK_LENGTH",
+    "MIN_STAGGER", "BOARDS_PER_PACK", "PACKS_IN_STOCK", "PACK_PRICE",
+    "OVERAGE"
+  ];
+
+  /**
+   * Does some data (loaded from JSON) describe a project, rather than
+   * a single room?
+   * @param {object} data the data
+   * @return {boolean} true if it's a project
+   */
+  static isProject(data) {
+    return Array.isArray(data.rooms);
+  }
+
+  /**
+   * @param {object} template
+   * @param {object[]} template.rooms the rooms, an array of
+   * {id:string, x:number, y:number, room:object}, where x and y give
+   * the position of the room's origin in the project, and room is
+   * the room data as for the Room constructor.
+   * @param {object[]} template.doorways optional, doorways between
+   * rooms, an array of {id:string, rooms:string[], from:{x,y},
+   * to:{x,y}, continuous:boolean}. rooms gives the ids of the two rooms
+   * the doorway joins, from and to are the ends of the threshold in
+   * project coordinates. If continuous is true, the rooms are laid
+   * as a single floor.
+   * @param {object[]} template.lengths optional, full board lengths,
+   * as for Room
+   * @param {object[]} template.partials optional, pre-cut planks in
+   * hand when work starts
+   * @param {object} template.units optional, units for all the rooms,
+   * as for Room
+   * The rest of the template provides the shared parameters
+   * (Project.SPEC).
+   */
+  constructor(template = {}) {
+    /**
+     * Units for all the rooms
+     * @member {Units}
+     */
+    this.units = new Units(template.units);
+
+    for (const key of Project.SPEC)
+      this[key] = template[key] ?? Room.param(key, this.units.input);
+
+    /**
+     * Full board lengths available, as Room.lengths
+     * @member {object[]}
+     */
+    this.lengths = (template.lengths ?? []).map(
+      l => typeof l.count === "number"
+      ? { length: l.length, count: l.count } : { length: l.length });
+
+    /**
+     * Pre-cut planks in hand when work starts
+     * @member {Plank[]}
+     */
+    this.partials = (template.partials ?? []).map(
+      p => new Plank(Object.assign({}, p, { permanent: true })));
+
+    /**
+     * The rooms, in the order they are to be laid. Each entry is
+     * {id:string, x:number, y:number, room:object}
+     * @member {object[]}
+     */
+    this.rooms = (template.rooms ?? []).map(r => ({
+      id: r.id, x: r.x ?? 0, y: r.y ?? 0, room: r.room ?? {}
+    }));
+
+    /**
+     * Doorways between rooms. Each entry is {id:string,
+     * rooms:string[], from:{x,y}, to:{x,y}, continuous:boolean}
+     * @member {object[]}
+     */
+    this.doorways = (template.doorways ?? []).map(d => ({
+      id: d.id, rooms: d.rooms ?? [], from: d.from, to: d.to,
+      continuous: d.continuous ?? false
+    }));
+
+    /**
+     * Runs of rooms that have been laid, computed by layout(). Each
+     * entry is {id:string, room:Room}, where the room is laid in
+     * project coordinates, and the id names the rooms in the run.
+     * @member {object[]}
+     */
+    this.runs = [];
+
+    /**
+     * Where offcuts carried over from one run to the next came from,
+     * a map from the plank uid to a description, computed by layout()
+     * @member {object}
+     */
+    this.origins = {};
+
+    /**
+     * Partial planks left over when all the rooms have been laid,
+     * computed by layout()
+     * @member {Plank[]}
+     */
+    this.leftovers = [];
+  }
+
+  /**
+   * Group the rooms into runs, where rooms joined by continuous
+   * doorways are in the same run.
+   * @return {object[][]} list of runs, each a list of rooms, in the
+   * order the rooms are given in the project
+   */
+  groups() {
+    const group = {};
+    for (const r of this.rooms)
+      group[r.id] = r.id;
+    const find = id => group[id] === id ? id : find(group[id]);
+    for (const doorway of this.doorways)
+      if (doorway.continuous && doorway.rooms.length === 2
+          && doorway.rooms.every(id => id in group))
+        group[find(doorway.rooms[1])] = find(doorway.rooms[0]);
+
+    const runs = {};
+    for (const r of this.rooms)
+      (runs[find(r.id)] ??= []).push(r);
+    return Object.values(runs);
+  }
+
+  /**
+   * Check the project is usable for layout
+   * @return {string[]} list of problems found, empty if the project
+   * is OK
+   */
+  validate() {
+    const errors = [];
+    const ids = this.rooms.map(r => r.id);
+    ids.forEach((id, i) => {
+      if (ids.indexOf(id) !== i)
+        errors.push(`there is more than one room '${id}'`);
+    });
+    for (const doorway of this.doorways)
+      for (const id of doorway.rooms)
+        if (!ids.includes(id))
+          errors.push(`doorway '${doorway.id}' leads to unknown room '${id}'`);
+    for (const run of this.runs)
+      for (const problem of run.room.validate())
+        errors.push(`${run.id}: ${problem}`);
+    return errors;
+  }
+
+  /**
+   * Lay all the rooms. Each run of rooms is laid in turn, using
+   * partials left over from the runs before it, and the boards
+   * remaining where the number of a length is limited.
+   * @param {number} keep optional, number of runs to keep as they
+   * are. Only the runs after them are laid again, using the partials
+   * the kept runs leave. Used when the room in a run has been changed.
+   */
+  layout(keep = 0) {
+    const move = (r, v) => Object.assign({}, v, { x: v.x + r.x, y: v.y + r.y });
+    const lengths = this.lengths.map(l => Object.assign({}, l));
+    let inHand = this.partials.map(p => new Plank(p));
+
+    const kept = this.runs.slice(0, keep);
+    this.runs = [];
+    if (kept.length === 0)
+      this.origins = {};
+    for (const group of this.groups()) {
+      const [ first, ...others ] = group;
+      const ids = group.map(r => r.id);
+      if (this.runs.length < kept.length) {
+        const run = kept[this.runs.length];
+        this.runs.push(run);
+        inHand = this.carry(run, lengths);
+        continue;
+      }
+      const data = {
+        START_LEFT: first.room.START_LEFT,
+        START_TOP: first.room.START_TOP,
+        DIRECTION: first.room.DIRECTION,
+        EXPANSION_GAP: first.room.EXPANSION_GAP,
+        PATTERN: first.room.PATTERN,
+        BOND: first.room.BOND,
+        PATTERN_ANGLE: first.room.PATTERN_ANGLE,
+        gaps: Object.assign({}, ...group.map(r => r.room.gaps)),
+        lengths: lengths,
+        units: this.units,
+        vertices: (first.room.vertices ?? []).map(v => move(first, v)),
+        holes: [],
+        joined: others.map(r => ({
+          id: r.id, vertices: (r.room.vertices ?? []).map(v => move(r, v))
+        })),
+        doorways: this.doorways.filter(
+          d => d.continuous && d.rooms.every(id => ids.includes(id))),
+        // The room is laid out as it is constructed, with the partials
+        // carried over and the first room's seeds
+        partials: inHand,
+        layoutSeed: first.room.layoutSeed,
+        seeds: first.room.seeds ?? []
+      };
+      for (const key of Project.SPEC)
+        data[key] = this[key];
+      for (const r of group)
+        for (const hole of r.room.holes ?? [])
+          data.holes.push({
+            id: hole.id, vertices: hole.vertices.map(v => move(r, v))
+          });
+
+      const room = new Room(data);
+      const run = { id: ids.join("+"), room: room };
+      this.runs.push(run);
+      inHand = this.carry(run, lengths);
+    }
+    this.leftovers = inHand;
+  }
+
+  /**
+   * Carry the partials left over from a run to the next run, and use
+   * up the limited board lengths it used
+   * @param {object} run the run, as in runs
+   * @param {object[]} lengths board lengths remaining, as for Room,
+   * updated in place
+   * @return {Plank[]} the partials carried over. These are copies, so
+   * the partials in the run's room are left as they are.
+   * @private
+   */
+  carry(run, lengths) {
+    const carried = run.room.partials.map(plank => {
+      const copy = new Plank(Object.assign({}, plank, { permanent: true }));
+      if (!plank.permanent)
+        this.origins[copy.uid] = `${run.id} ${plank.id}`;
+      else if (plank.uid in this.origins)
+        this.origins[copy.uid] = this.origins[plank.uid];
+      return copy;
+    });
+
+    const used = run.room.boardsUsed();
+    for (const l of lengths)
+      if (typeof l.count === "number")
+        l.count = Math.max(0, l.count - (used[l.length] ?? 0));
+    return carried;
+  }
+
+  /**
+   * Total number of full boards needed for all the rooms
+   * @member {number}
+   */
+  get planksNeeded() {
+    return this.runs.reduce((t, run) => t + run.room.planksNeeded, 0);
+  }
+
+  /**
+   * Count the full boards of each length used in all the rooms
+   * @return {object} map from board length to number used
+   */
+  boardsUsed() {
+    const boards = {};
+    for (const run of this.runs) {
+      const used = run.room.boardsUsed();
+      for (const length of Object.keys(used))
+        boards[length] = (boards[length] ?? 0) + used[length];
+    }
+    return boards;
+  }
+
+  /**
+   * Total number of cross-cuts in all the rooms
+   * @member {number}
+   */
+  get cuts() {
+    return this.runs.reduce((t, run) => t + run.room.cuts, 0);
+  }
+
+  /**
+   * Total number of rip cuts in all the rooms
+   * @member {number}
+   */
+  get rips() {
+    return this.runs.reduce((t, run) => t + run.room.rips, 0);
+  }
+
+  /**
+   * Total waste, as a length of board. Offcuts that are carried over
+   * and laid in a later room are not waste.
+   * @member {number}
+   */
+  get waste() {
+    let waste = 0;
+    for (const run of this.runs) {
+      waste += run.room.waste;
+      for (const col of run.room.columns)
+        for (const plank of col.planks)
+          if (plank.uid in this.origins)
+            waste -= plank.meanLength;
+    }
+    return waste;
+  }
+
+  /**
+   * Work out how many packs of boards have to be bought for all the
+   * rooms, as Room.stock().
+   * @return {object} stock report, with fields `packsNeeded`,
+   * `packsToBuy`, `cost` and, if the stock in hand won't cover all the
+   * rooms, `shortfall`, an object giving the `room` (the id of the
+   * run) where the stock runs out. If that's because there are not
+   * enough boards of a limited length, the shortfall also gives the
+   * board `length`.
+   */
+  stock() {
+    const perPack = Math.max(1, this.BOARDS_PER_PACK);
+    const packsNeeded = Math.ceil(
+      this.planksNeeded * (1 + this.OVERAGE / 100) / perPack);
+    const packsToBuy = Math.max(0, packsNeeded - this.PACKS_IN_STOCK);
+    const report = {
+      packsNeeded: packsNeeded,
+      packsToBuy: packsToBuy,
+      cost: packsToBuy * this.PACK_PRICE
+    };
+
+    const inStock = this.PACKS_IN_STOCK > 0
+          ? this.PACKS_IN_STOCK * perPack : Number.MAX_SAFE_INTEGER;
+    let used = 0;
+    for (const run of this.runs) {
+      used += run.room.planksNeeded;
+      // Each run is given the boards left by the runs before it
+      const boards = run.room.boardsUsed();
+      const short = run.room.lengths.find(
+        l => typeof l.count === "number" && (boards[l.length] ?? 0) > l.count);
+      if (used > inStock || short) {
+        report.shortfall = { room: run.id };
+        if (short && used <= inStock)
+          report.shortfall.length = short.length;
+        break;
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Format the combined cutting list for all the rooms. Each cut is
+   * given as for Room.cuttingSchedule(), prefixed by the id of the
+   * run. Offcuts carried over from an earlier run are listed with
+   * where they came from.
+   * @return {string[]} cutting list
+   */
+  cuttingList() {
+    const list = [];
+    for (const run of this.runs) {
+      for (const cut of run.room.cuttingSchedule())
+        if (typeof cut !== "undefined")
+          list.push(`${run.id}: ${cut["<"] ?? ""} | ${cut["<>"] ? cut["<>"] + " | " : ""}${cut[">"] ?? ""}`);
+      for (const col of run.room.columns)
+        for (const plank of col.planks)
+          if (plank.uid in this.origins)
+            list.push(`${run.id}: ${plank.id} is the offcut from ${this.origins[plank.uid]}`);
+    }
+    return list;
+  }
+
+  /**
+   * Bounding rect of all the rooms, as Room.extent
+   * @member {object}
+   */
+  get extent() {
+    const extents = this.runs.map(run => run.room.extent);
+    const left = Math.min(...extents.map(e => e.left));
+    const top = Math.min(...extents.map(e => e.top));
+    return {
+      left: left, top: top,
+      width: Math.max(...extents.map(e => e.left + e.width)) - left,
+      height: Math.max(...extents.map(e => e.top + e.height)) - top
+    };
+  }
+
+  /**
+   * Draw all the rooms
+   * @param {Surface} surf drawing context
+   */
+  draw(surf) {
+    surf.clear();
+    for (const run of this.runs)
+      run.room.draw(surf, false);
+  }
+}
+
+export { Project }
@@ -0,0 +1,30 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+/**
+ * Make a new random seed
+ * @return {number} a 32-bit unsigned integer seed
+ */
+function newSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Make a seeded pseudo-random number generator, so random operations
+ * (like shuffling) can be repeated. Uses the mulberry32 algorithm.
+ * @param {number} seed 32-bit integer seed
+ * @return {function} generator that returns numbers in [0, 1),
+ * as Math.random
+ */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+export { newSeed, seededRandom }
@@ -0,0 +1,3128 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+/*
+ * Problem: given a room and an unlimited supply of
+ * interlocking boards all the same size, some of which may be pre-cut, lay
+ * the boards out to meet the following constraints:
+ * 1. Respect the interlocking, so cut ends always butt the edges of
+ *    the room poly.
+ * 2. Minimum wastage of board length
+ * 3. Minimum number of cross-cuts
+ * 4. Minimise plank joins lining up in adjacent plank runs
+ * 5. Minimise "staircase effects", where lines of planks have
+ *    the same offset from each other.
+ * 7. Support starting the planking at an arbitrary offset within the
+ *    room.
+ *
+ * Approach:
+ * 1. Describe the room as a polygon using a set of vertices.
+ * 2. Divide the room into a set of equal-width columns.
+ * 3. Split each column into segments by examining where it crosses
+ *    the room poly. A column may cross the room several times, where
+ *    the room is U or L shaped.
+ * 4. Starting with the left column, and preferring pre-cut planks,
+ *    lay planks until the column segment is full.  Where the last plank
+ *    crosses the end of the column, cut the plank and add the cut
+ *    part to the set of pre-cut planks.
+ * 5. Repeat 4 until the room is full.
+ *
+ * Post-layout, allow the random shuffling of columns to minimise
+ * staircase and matching seam problems (based on visual feedback).
+ *
+ * As you can see, the algorithm is quite simple. In the course of
+ * this work I explored several options for more sophisticated
+ * approaches using cost functions and stochastic algorithms. However
+ * I abandoned that when the need to put saw to wood became paramount,
+ * and I realised that visual feedback was a perfectly acceptable way
+ * to handle the problem.
+ *
+ * Later, an explicit cost function (Room.score) was added, so the
+ * results of different START_TOP offsets, choices of partials and
+ * shuffles can be compared. Optimiser.js uses it to search for a good
+ * layout within a time or iteration budget.
+ */
+
+import { HEdge } from "./HEdge.js";
+import { Plank } from "./Plank.js";
+import { Column } from "./Column.js";
+import { Block } from "./Block.js";
+import { Parquet } from "./Parquet.js";
+import { newSeed, seededRandom } from "./Random.js";
+import { toLayout, toPlan } from "./Direction.js";
+import { Units } from "./Units.js";
+import { RotatedSurface } from "./RotatedSurface.js";
+
+/**
+ * Find where a vertical strip crosses the polygon described by a set
+ * of horizontal edges. Where the polygon covers any part of the width
+ * of the strip, it is taken as covering the whole width.
+ * @param {HEdge[]} hedges horizontal edges of the polygon
+ * @param {number} left left edge of the strip
+ * @param {number} right right edge of the strip
+ * @param {boolean} inner true to take the inner extent of sloped
+ * edges, see slices()
+ * @return {object[]} list of {top:number, bottom:number}, ordered
+ * top to bottom
+ * @private
+ */
+function crossings(hedges, left, right, inner = false) {
+  const spans = [];
+  for (const slice of slices(hedges, left, right, inner))
+    spans.push(...slice.spans.map(
+      span => ({ top: span.top, bottom: span.bottom })));
+
+  // Merge overlapping spans
+  spans.sort((a, b) => a.top - b.top);
+  const merged = [];
+  for (const span of spans) {
+    const last = merged[merged.length - 1];
+    if (last && span.top <= last.bottom)
+      last.bottom = Math.max(last.bottom, span.bottom);
+    else
+      merged.push(span);
+  }
+  return merged;
+}
+
+/**
+ * Slice a vertical strip at the x coordinates where the horizontal
+ * edges crossing it change. Within each slice, the polygon is a set of
+ * rectangles (or trapezoids, where edges slope). Find them by pairing
+ * up the edges crossed going down the slice. A span bounded by a
+ * sloped edge reaches the outer extent of the edge within the slice,
+ * so planks cover it and can be cut to the slope, unless `inner` is
+ * set (used for holes, which are cut round).
+ * @param {HEdge[]} hedges horizontal edges of the polygon
+ * @param {number} left left edge of the strip
+ * @param {number} right right edge of the strip
+ * @param {boolean} inner true to take the inner extent of sloped edges
+ * @return {object[]} list of {left:number, right:number, spans:object[]}
+ * where spans are as for crossings(), plus the edges `above` and
+ * `below` that bound them
+ * @private
+ */
+function slices(hedges, left, right, inner = false) {
+  const xs = [ left, right ];
+  for (const hedge of hedges) {
+    if (hedge.left > left + 1e-6 && hedge.left < right - 1e-6)
+      xs.push(hedge.left);
+    if (hedge.right > left + 1e-6 && hedge.right < right - 1e-6)
+      xs.push(hedge.right);
+  }
+  xs.sort((a, b) => a - b);
+
+  const slices = [];
+  for (let i = 1; i < xs.length; i++) {
+    if (xs[i] === xs[i - 1])
+      continue;
+    const x = (xs[i - 1] + xs[i]) / 2;
+    const crossed = hedges
+          .filter(hedge => hedge.left < x && hedge.right > x)
+          .sort((a, b) => a.yAt(x) - b.yAt(x));
+    const ends = hedge => [ hedge.yAt(xs[i - 1]), hedge.yAt(xs[i]) ];
+    const spans = [];
+    for (let j = 1; j < crossed.length; j += 2) {
+      const top = ends(crossed[j - 1]), bottom = ends(crossed[j]);
+      spans.push(inner
+                 ? { top: Math.max(...top), bottom: Math.min(...bottom) }
+                 : { top: Math.min(...top), bottom: Math.max(...bottom) });
+      spans[spans.length - 1].above = crossed[j - 1];
+      spans[spans.length - 1].below = crossed[j];
+    }
+    slices.push({ left: xs[i - 1], right: xs[i], spans: spans });
+  }
+  return slices;
+}
+
+/**
+ * Work out how to cut the end of a column to fit the edge of the
+ * floor. The end is cut straight, from one side of the planks to the
+ * other: square, or at an angle where the edge slopes. Where the
+ * edge turns a corner across the planks, the end is cut from where
+ * the edge meets one side to where it meets the other, as long as
+ * that keeps the planks on the floor. Otherwise the end is cut
+ * square, and runs past the edge.
+ * @param {object[]} points where the floor ends, {x:number, y:number},
+ * across the planks from left to right
+ * @param {number} end y of the end of the column
+ * @param {number} out -1 if the floor ends above the column (the top
+ * end), 1 if it ends below it (the bottom end)
+ * @return {object} {mitre:number, overlap:number} where mitre is as
+ * for Column.mitre_top, and overlap is how far a square end runs past
+ * the edge of the floor, 0 if it doesn't
+ * @private
+ */
+function fitEnd(points, end, out) {
+  // How far into the column the edge of the floor is at each point
+  const depth = p => (end - p.y) * out;
+  const overlap = Math.max(0, ...points.map(depth));
+  if (overlap < 1e-6)
+    return { mitre: 0, overlap: 0 };
+  const a = points[0], b = points[points.length - 1];
+  const da = depth(a), db = depth(b);
+  // The cut has to reach the end of the column at one side, and stay
+  // on the floor all the way across
+  if (b.x > a.x && da > -1e-6 && db > -1e-6 && Math.min(da, db) < 1e-6
+      && points.every(
+        p => depth(p) <= da + (db - da) * (p.x - a.x) / (b.x - a.x) + 1e-6))
+    return { mitre: Math.abs(b.y - a.y) < 1e-6 ? 0 : b.y - a.y, overlap: 0 };
+  return { mitre: 0, overlap: overlap };
+}
+
+/**
+ * Get the horizontal (and sloped) edges of a polygon
+ * @param {object[]} vertices array of {x:number, y:number}
+ * @return {HEdge[]} the horizontal edges
+ * @private
+ */
+function horizontalEdges(vertices) {
+  const hedges = [];
+  for (let i = 0; i < vertices.length; i++) {
+    const p1 = vertices[i];
+    const p2 = vertices[(i + 1) % vertices.length];
+    if (p1.y === p2.y) // Horizontal edge
+      hedges.push(
+        new HEdge({
+          left: Math.min(p1.x, p2.x),
+          right: Math.max(p1.x, p2.x),
+          y: p1.y
+        }));
+    else if (p1.x !== p2.x) { // Sloped edge
+      const [ l, r ] = p1.x < p2.x ? [ p1, p2 ] : [ p2, p1 ];
+      hedges.push(
+        new HEdge({
+          left: l.x, right: r.x, y: l.y, slope: (r.y - l.y) / (r.x - l.x)
+        }));
+    }
+  }
+  return hedges;
+}
+
+/**
+ * Get the orientation of three points
+ * @return {number} 1 if anticlockwise (in screen coordinates,
+ * clockwise), -1 if the other way, 0 if collinear
+ * @private
+ */
+function orientation(a, b, c) {
+  return Math.sign((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+}
+
+/**
+ * Is point c within the bounding box of segment a-b?
+ * @private
+ */
+function inBox(a, b, c) {
+  return Math.min(a.x, b.x) <= c.x && c.x <= Math.max(a.x, b.x)
+  && Math.min(a.y, b.y) <= c.y && c.y <= Math.max(a.y, b.y);
+}
+
+/**
+ * Do two line segments intersect or touch?
+ * @private
+ */
+function segmentsMeet(p1, p2, q1, q2) {
+  const o1 = orientation(p1, p2, q1), o2 = orientation(p1, p2, q2);
+  const o3 = orientation(q1, q2, p1), o4 = orientation(q1, q2, p2);
+  if (o1 !== o2 && o3 !== o4)
+    return true;
+  return (o1 === 0 && inBox(p1, p2, q1)) || (o2 === 0 && inBox(p1, p2, q2))
+  || (o3 === 0 && inBox(q1, q2, p1)) || (o4 === 0 && inBox(q1, q2, p2));
+}
+
+/**
+ * Is a point on the boundary of a polygon?
+ * @param {object} p {x:number, y:number}
+ * @param {object[]} vertices polygon
+ * @return {boolean} true if the point is on one of the edges
+ * @private
+ */
+function onBoundary(p, vertices) {
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++)
+    if (orientation(vertices[i], vertices[j], p) === 0
+        && inBox(vertices[i], vertices[j], p))
+      return true;
+  return false;
+}
+
+/**
+ * Is a point inside a polygon, or on its boundary?
+ * @param {object} p {x:number, y:number}
+ * @param {object[]} vertices polygon
+ * @return {boolean} true if inside or on the boundary
+ * @private
+ */
+function insideOrOn(p, vertices) {
+  if (onBoundary(p, vertices))
+    return true;
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i], b = vertices[j];
+    if ((a.y > p.y) !== (b.y > p.y)
+        && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x)
+      inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Do two polygons overlap? Polygons that only touch along their
+ * edges don't overlap. Only the vertices and the midpoints of the
+ * edges are tested, which is enough for rooms.
+ * @param {object[]} a vertices of one polygon
+ * @param {object[]} b vertices of the other polygon
+ * @return {boolean} true if the polygons overlap
+ * @private
+ */
+function overlapping(a, b) {
+  const inside = (vs, poly) => vs.some((v, i) => {
+    const w = vs[(i + 1) % vs.length];
+    return [ v, { x: (v.x + w.x) / 2, y: (v.y + w.y) / 2 } ].some(
+      p => insideOrOn(p, poly) && !onBoundary(p, poly));
+  });
+  return inside(a, b) || inside(b, a);
+}
+
+/**
+ * Find the walls shared by two rooms, where the edges of their
+ * polygons lie along each other
+ * @param {object[]} a vertices of one room
+ * @param {object[]} b vertices of the other room
+ * @return {object[]} list of walls, each {from:{x,y}, to:{x,y}}
+ * @private
+ */
+function sharedWalls(a, b) {
+  const walls = [];
+  for (let i = 0; i < a.length; i++) {
+    const p1 = a[i], p2 = a[(i + 1) % a.length];
+    for (let j = 0; j < b.length; j++) {
+      const q1 = b[j], q2 = b[(j + 1) % b.length];
+      if (p1.y === p2.y && q1.y === q2.y && p1.y === q1.y) {
+        const l = Math.max(Math.min(p1.x, p2.x), Math.min(q1.x, q2.x));
+        const r = Math.min(Math.max(p1.x, p2.x), Math.max(q1.x, q2.x));
+        if (r > l)
+          walls.push({ from: { x: l, y: p1.y }, to: { x: r, y: p1.y } });
+      } else if (p1.x === p2.x && q1.x === q2.x && p1.x === q1.x) {
+        const t = Math.max(Math.min(p1.y, p2.y), Math.min(q1.y, q2.y));
+        const bot = Math.min(Math.max(p1.y, p2.y), Math.max(q1.y, q2.y));
+        if (bot > t)
+          walls.push({ from: { x: p1.x, y: t }, to: { x: p1.x, y: bot } });
+      }
+    }
+  }
+  return walls;
+}
+
+/**
+ * Move the edges of a polygon in or out by a gap, to get the
+ * boundary that boards are laid to when they have to stop short of
+ * the walls. Corners are where the moved edges meet. Where two edges
+ * in line have different gaps, a step is made between them.
+ * @param {object[]} vs vertices of the polygon
+ * @param {function} gapOf function that gets the gap for an edge,
+ * given the index of the vertex at its start
+ * @param {boolean} out true to move the edges outwards (for a hole),
+ * false to move them inwards
+ * @return {object[]} vertices of the moved polygon
+ * @private
+ */
+function inset(vs, gapOf, out) {
+  const n = vs.length;
+  const gaps = vs.map((v, i) => gapOf(i));
+  if (gaps.every(g => g === 0))
+    return vs.map(v => Object.assign({}, v));
+
+  let area = 0;
+  for (let i = 0; i < n; i++) {
+    const a = vs[i], b = vs[(i + 1) % n];
+    area += a.x * b.y - b.x * a.y;
+  }
+  const side = (area > 0) === !out ? 1 : -1;
+
+  // Each edge, moved by its gap
+  const edges = vs.map((a, i) => {
+    const b = vs[(i + 1) % n];
+    const d = { x: b.x - a.x, y: b.y - a.y };
+    const len = Math.hypot(d.x, d.y) || 1;
+    const nx = side * -d.y / len * gaps[i], ny = side * d.x / len * gaps[i];
+    return { x: a.x + nx, y: a.y + ny, nx: nx, ny: ny, d: d };
+  });
+
+  const moved = [];
+  const add = (v, x, y) => {
+    const last = moved[moved.length - 1];
+    if (!last || Math.abs(last.x - x) > 1e-9 || Math.abs(last.y - y) > 1e-9)
+      moved.push(Object.assign({}, v, { x: x, y: y }));
+  };
+  for (let i = 0; i < n; i++) {
+    const p = edges[(i + n - 1) % n], q = edges[i];
+    const cross = p.d.x * q.d.y - p.d.y * q.d.x;
+    if (Math.abs(cross) < 1e-9) {
+      // Edges in line
+      add(vs[i], vs[i].x + p.nx, vs[i].y + p.ny);
+      add(vs[i], vs[i].x + q.nx, vs[i].y + q.ny);
+    } else {
+      const t = ((q.x - p.x) * q.d.y - (q.y - p.y) * q.d.x) / cross;
+      add(vs[i], p.x + p.d.x * t, p.y + p.d.y * t);
+    }
+  }
+  const first = moved[0], last = moved[moved.length - 1];
+  if (moved.length > 1 && Math.abs(last.x - first.x) < 1e-9
+      && Math.abs(last.y - first.y) < 1e-9)
+    moved.pop();
+  return moved;
+}
+
+/**
+ * Find problems with a polygon
+ * @param {object[]} vs vertices of the polygon
+ * @param {function} name function that gets a name for a vertex,
+ * given its index
+ * @return {string[]} list of problems
+ * @private
+ */
+function polygonProblems(vs, name) {
+  const errors = [];
+  const n = vs.length;
+  const edge = i => `${name(i)}→${name((i + 1) % n)}`;
+
+  if (n < 3) {
+    errors.push(`need at least 3 vertices, there are ${n}`);
+    return errors;
+  }
+
+  // Duplicate vertices
+  for (let i = 0; i < n; i++)
+    for (let j = i + 1; j < n; j++)
+      if (vs[i].x === vs[j].x && vs[i].y === vs[j].y) {
+        if (j === i + 1 || (i === 0 && j === n - 1))
+          errors.push(`edge ${j === i + 1 ? edge(i) : edge(j)} has zero length`);
+        else
+          errors.push(`vertices ${name(i)} and ${name(j)} are at the same point`);
+      }
+
+  // Edges that double back on themselves, or cross other edges.
+  // Zero-length edges have already been reported, so skip them.
+  const idx = [];
+  for (let i = 0; i < n; i++)
+    if (vs[i].x !== vs[(i + 1) % n].x || vs[i].y !== vs[(i + 1) % n].y)
+      idx.push(i);
+  const m = idx.length;
+  const span = k => `${name(idx[k])}→${name(idx[(k + 1) % m])}`;
+  for (let k = 0; k < m; k++) {
+    const a = vs[idx[k]], b = vs[idx[(k + 1) % m]], c = vs[idx[(k + 2) % m]];
+    if (orientation(a, b, c) === 0
+        && (b.x - a.x) * (c.x - b.x) + (b.y - a.y) * (c.y - b.y) < 0)
+      errors.push(`edge ${span((k + 1) % m)} doubles back over edge ${span(k)}`);
+    for (let l = k + 2; l < m; l++) {
+      if ((l + 1) % m === k)
+        continue; // adjacent
+      if (segmentsMeet(a, b, vs[idx[l]], vs[idx[(l + 1) % m]]))
+        errors.push(`edges ${span(k)} and ${span(l)} cross`);
+    }
+  }
+
+  if (errors.length > 0)
+    return errors;
+
+  // In a simple polygon, the turns at the corners add up to a full
+  // circle, one way or the other
+  let turns = 0;
+  for (let k = 0; k < m; k++) {
+    const a = vs[idx[k]], b = vs[idx[(k + 1) % m]], c = vs[idx[(k + 2) % m]];
+    const ux = b.x - a.x, uy = b.y - a.y, vx = c.x - b.x, vy = c.y - b.y;
+    turns += Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  }
+  if (Math.abs(Math.abs(turns) - 2 * Math.PI) > 1e-6)
+    errors.push("the vertices are not in a consistent clockwise or anticlockwise order");
+
+  return errors;
+}
+
+/**
+ * A room, and the planks required to.... plank it.
+ */
+class Room {
+
+  /**
+   * Names and defaults for layout parameters. These are written
+   * into the object. Lengths (see DIMENSIONS) are in cm; use param()
+   * to get them in the units a room is described in.
+   */
+  static PARAMS = {
+    START_LEFT: 0,
+    START_TOP: 0,
+    PLANK_WIDTH: 10,
+    PLANK_LENGTH: 60,
+    CUT_THICKNESS: 0.5,
+    MIN_PLANK_LENGTH: 20,
+    MIN_STAGGER: 0,
+    BOARDS_PER_PACK: 10,
+    PACKS_IN_STOCK: 0,
+    PACK_PRICE: 0,
+    OVERAGE: 10,
+    DIRECTION: 0,
+    EXPANSION_GAP: 0,
+    PATTERN: "straight",
+    BOND: 2,
+    PATTERN_ANGLE: 45
+  };
+
+  /**
+   * Patterns the boards can be laid in. "straight" lays the boards in
+   * columns with joints placed to suit the boards, "brick" lays them
+   * in columns with the joints in each column offset by 1/BOND of a
+   * board from the last, and "herringbone" and "chevron" lay blocks at
+   * PATTERN_ANGLE (see Parquet).
+   */
+  static PATTERNS = [ "straight", "brick", "herringbone", "chevron" ];
+
+  /**
+   * Names of the parameters that are lengths, and so are shown in
+   * display units
+   */
+  static DIMENSIONS = [
+    "START_LEFT", "START_TOP", "PLANK_WIDTH", "PLANK_LENGTH",
+    "CUT_THICKNESS", "MIN_PLANK_LENGTH", "MIN_STAGGER", "EXPANSION_GAP"
+  ];
+
+  /**
+   * Get the default for a layout parameter, with lengths converted
+   * from cm to the units a room is described in
+   * @param {string} key name of the parameter, one of PARAMS
+   * @param {string?} input units the room is described in (see
+   * Units), cm if not given
+   * @return {number|string} the default
+   */
+  static param(key, input) {
+    const v = Room.PARAMS[key];
+    return Room.DIMENSIONS.includes(key)
+      ? v / (Units.UNITS[input] ?? 1) : v;
+  }
+
+  /**
+   * Names of the sides of the plan, indexed by DIRECTION / 90
+   */
+  static SIDES = [ "top", "right", "bottom", "left" ];
+
+  /**
+   * @param {Object} template
+   * @param {object[]} template.vertices required, the vertices that
+   * describe the room, an array of tuples {x:, y:, id:} The top left
+   * of the room diagram is at 0,0. Y coordinates grow downwards, X
+   * left to right.  The id is used to identify which vertex relates
+   * to which room feature.
+   * @param {object[]} template.holes optional, obstacles inside the
+   * room that are not to be planked (hearths, pillars, built-in
+   * cupboards etc), an array of {id:string, vertices:object[]},
+   * where the vertices are as for the room.
+   * @param {object[]} template.lengths optional, full board lengths
+   * available, an array of {length:number, count:number}. If not
+   * given, boards are all PLANK_LENGTH.
+   * @param {object[]} template.joined optional, other rooms joined to
+   * this one through doorways, that are laid with it as a single
+   * floor, an array of {id:string, vertices:object[]}
+   * @param {object[]} template.doorways optional, doorways between
+   * joined rooms where boards run through from one room to the next,
+   * an array of {id:string, from:{x,y}, to:{x,y}} giving the ends of
+   * each threshold.
+   * @param {object} template.units optional, units the room is
+   * described in, and units and precision for display (see Units)
+   * @param {object} template.gaps optional, expansion gaps for
+   * individual walls, a map from the id of the vertex at the start
+   * of a wall to the gap to leave along it. Walls not given here
+   * get EXPANSION_GAP.
+   * @param {Plank[]|object[]} template.partials optional, partial
+   * planks in hand to lay first. Planks are used as they are, not
+   * copied.
+   * Boards run from the top of the plan to the bottom, unless the
+   * DIRECTION parameter says otherwise.
+   * The rest of the template object is used to provide values for
+   * other fields in the object when loading from JSON.
+   */
+  constructor(template = {}) {
+    this.vertices = template.vertices ?? [];
+
+    /**
+     * Holes in the room, that are not to be planked
+     * @member {object[]}
+     */
+    this.holes = [];
+    if (template.holes)
+      for (const hole of template.holes)
+        this.holes.push({ id: hole.id, vertices: hole.vertices ?? [] });
+
+    /**
+     * Other rooms joined to this one through doorways, and laid with
+     * it as one continuous floor. Each entry is {id:string,
+     * vertices:object[]}. The rooms must not overlap.
+     * @member {object[]}
+     */
+    this.joined = (template.joined ?? []).map(
+      r => ({ id: r.id, vertices: r.vertices ?? [] }));
+
+    /**
+     * Doorways between joined rooms. Boards can only run from one
+     * joined room to the next through a doorway; elsewhere they are
+     * cut at the wall between the rooms. Each entry is {id:string,
+     * from:{x,y}, to:{x,y}}, the ends of the threshold.
+     * @member {object[]}
+     */
+    this.doorways = (template.doorways ?? []).map(
+      d => ({ id: d.id, from: d.from, to: d.to }));
+
+    /**
+     * Units the room is described in, and units lengths are shown in
+     * @member {Units}
+     */
+    this.units = new Units(template.units);
+
+    for (const key of Object.keys(Room.PARAMS)) {
+      this[key] = template[key] ?? Room.param(key, this.units.input);
+    }
+
+    /**
+     * Full board lengths available, where a product comes in a mix
+     * of lengths. Each entry is {length:number, count:number}, where
+     * count is optional and if given, limits the number of boards of
+     * that length that will be used. If empty, boards are all
+     * PLANK_LENGTH.
+     * @member {object[]}
+     */
+    this.lengths = (template.lengths ?? []).map(
+      l => typeof l.count === "number"
+      ? { length: l.length, count: l.count } : { length: l.length });
+
+    /**
+     * Expansion gaps for individual walls, a map from the id of the
+     * vertex at the start of the wall to the gap. The ids can be
+     * those of the room, joined rooms or holes.
+     * @member {object}
+     */
+    this.gaps = Object.assign({}, template.gaps);
+
+    /**
+     * Array of horizontal edges
+     * @member {HEdge[]}
+     */
+    this.hedges = [];
+    if (template.hedges)
+      for (const hedge of template.hedges)
+        this.hedges.push(new HEdge(hedge));
+
+    /**
+     * Array of horizontal edges of the holes
+     * @member {HEdge[]}
+     */
+    this.holeHedges = [];
+    if (template.holeHedges)
+      for (const hedge of template.holeHedges)
+        this.holeHedges.push(new HEdge(hedge));
+
+    /**
+     * Walls between joined rooms that run across the columns, as
+     * horizontal edges
+     * @member {HEdge[]}
+     */
+    this.wallHedges = (template.wallHedges ?? []).map(h => new HEdge(h));
+
+    /**
+     * Doorways that run across the columns, as horizontal edges
+     * @member {HEdge[]}
+     */
+    this.doorwayHedges = (template.doorwayHedges ?? []).map(h => new HEdge(h));
+
+    /**
+     * List of column segments, ordered left-right and then
+     * top-bottom, each with a list of Planks
+     * @member {Column[]}
+     */
+    this.columns = [];
+    if (template.columns)
+      for (const col of template.columns)
+        this.columns.push(new Column(col));
+
+    /**
+     * Blocks laid in a herringbone or chevron pattern. Empty unless
+     * the PATTERN is one of those, in which case there are no columns.
+     * @member {Block[]}
+     */
+    this.blocks = (template.blocks ?? []).map(b => new Block(b));
+
+    /**
+     * Left edge of the bounding rect
+     * @member {number}
+     */
+    this.leftmost = template.leftmost ?? Number.MAX_SAFE_INTEGER;
+
+    /**
+     * Right edge of the bounding rect
+     * @member {number}
+     */
+    this.rightmost = template.rightmost ?? Number.MIN_SAFE_INTEGER;
+
+    /**
+     * Top edge of the bounding rect
+     * @member {number}
+     */
+    this.topmost = template.topmost ?? Number.MAX_SAFE_INTEGER;
+
+    /**
+     * Bottom edge of the bounding rect
+     * @member {number}
+     */
+    this.bottommost = template.bottommost ?? Number.MIN_SAFE_INTEGER;
+
+    /**
+     * List of partial (pre-cut) planks left in hand after
+     * the most recent recompute
+     * @member {Plank[]}
+     */
+    this.partials = [];
+    if (template.partials)
+      for (const plank of template.partials)
+        this.partials.push(plank instanceof Plank ? plank : new Plank(plank));
+
+    /**
+     * Total number of planks needed, computed on the fly during
+     * computation
+     * @member {number}
+     */
+    this.planksNeeded = template.planksNeeded ?? 0;
+
+    /**
+     * Total length of the boards needed, computed on the fly during
+     * computation
+     * @member {number}
+     */
+    this.boardage = template.boardage
+    ?? this.planksNeeded * this.PLANK_LENGTH;
+
+    /**
+     * Total number of cuts needed, computed on the fly during
+     * computation
+     * @member {number}
+     */
+    this.cuts = template.cuts ?? 0;
+
+    /**
+     * Total waste, as a length of plank, computed on the fly during
+     * computation
+     * @member {number}
+     */
+    //this.waste = template.waste ?? 0;
+
+    /**
+     * Seeds of the shuffles applied since the floor was last
+     * recomputed. Replaying these shuffles on a recomputed floor
+     * reproduces the layout.
+     * @member {number[]}
+     */
+    this.seeds = template.seeds ?? [];
+
+    /**
+     * Seed for the random choice of partials made by the most recent
+     * recompute, undefined if the longest suitable partial was always
+     * chosen (see recomputeFloor). Recomputing with this seed and then
+     * replaying the shuffles in `seeds` reproduces the layout.
+     * @member {number?}
+     */
+    this.layoutSeed = template.layoutSeed;
+
+    /**
+     * Pinned columns that the most recent recompute couldn't keep,
+     * because they no longer match the columns of the new layout (for
+     * example after PLANK_WIDTH, START_LEFT or the room has changed).
+     * Each is {left:number, top:number, bottom:number}, in layout
+     * coordinates.
+     * @member {object[]}
+     */
+    this.unpinned = template.unpinned ?? [];
+
+    if (this.columns.length === 0 && this.blocks.length === 0) {
+      const seeds = this.seeds;
+      this.measure();
+      this.recomputeFloor(this.layoutSeed);
+      if (this.columns.length > 0)
+        for (const seed of seeds)
+          this.shuffle(seed);
+    }
+  }
+
+  /**
+   * Construct hedges, dimensions, surface from room vertices. Call
+   * this after changing the vertices.
+   */
+  measure() {
+    const boundary = this.boundary();
+    const vertices = [];
+    this.hedges = [];
+    for (const outline of boundary.rooms) {
+      const vs = outline.map(v => this.toLayout(v));
+      this.hedges.push(...horizontalEdges(vs));
+      vertices.push(...vs);
+    }
+
+    this.holeHedges = [];
+    for (const outline of boundary.holes)
+      this.holeHedges.push(
+        ...horizontalEdges(outline.map(v => this.toLayout(v))));
+
+    // Walls and doorways between joined rooms. Only those that run
+    // across the columns matter.
+    const across = seg => {
+      const a = this.toLayout(seg.from), b = this.toLayout(seg.to);
+      return a.y === b.y ? [ new HEdge({
+        left: Math.min(a.x, b.x), right: Math.max(a.x, b.x), y: a.y
+      }) ] : [];
+    };
+    this.wallHedges = [];
+    for (const wall of this.walls())
+      this.wallHedges.push(...across(wall));
+    this.doorwayHedges = [];
+    for (const doorway of this.doorways)
+      this.doorwayHedges.push(...across(doorway));
+
+    this.leftmost = Number.MAX_SAFE_INTEGER;
+    this.rightmost = Number.MIN_SAFE_INTEGER;
+    this.topmost = Number.MAX_SAFE_INTEGER;
+    this.bottommost = Number.MIN_SAFE_INTEGER;
+
+    for (const p of vertices) {
+      this.leftmost = Math.min(this.leftmost, p.x);
+      this.rightmost = Math.max(this.rightmost, p.x);
+      this.topmost = Math.min(this.topmost, p.y);
+      this.bottommost = Math.max(this.bottommost, p.y);
+    }
+  }
+
+  /**
+   * Rotate a point on the plan into layout coordinates, where the
+   * boards run top to bottom. Columns, planks, hedges and the
+   * leftmost/rightmost/topmost/bottommost bounds are all in layout
+   * coordinates.
+   * @param {object} p point {x:number, y:number}
+   * @return {object} point {x:number, y:number}
+   */
+  toLayout(p) {
+    return toLayout(p, this.DIRECTION);
+  }
+
+  /**
+   * Rotate a point in layout coordinates back onto the plan, the
+   * inverse of toLayout()
+   * @param {object} p point {x:number, y:number}
+   * @return {object} point {x:number, y:number}
+   */
+  toPlan(p) {
+    return toPlan(p, this.DIRECTION);
+  }
+
+  /**
+   * Get the expansion gap to leave along a wall
+   * @param {object} v the vertex at the start of the wall
+   * @return {number} the gap
+   */
+  gapAt(v) {
+    return (v.id && v.id in this.gaps) ? this.gaps[v.id] : this.EXPANSION_GAP;
+  }
+
+  /**
+   * Find the boundary that boards are laid to, which is the walls of
+   * the room moved in by the expansion gaps, and the edges of the
+   * holes moved out. Doorways between joined rooms are not moved,
+   * so boards can run through them.
+   * @return {object} {rooms:object[][], holes:object[][]} lists of
+   * vertices on the plan, for the room followed by the joined rooms,
+   * and for the holes
+   */
+  boundary() {
+    const rooms = [ this.vertices, ...this.joined.map(r => r.vertices) ];
+    const room = vs => {
+      // Split the edges where doorways start and end, so only the
+      // part of an edge that is a doorway is left alone
+      const points = [], gaps = [];
+      vs.forEach((a, i) => {
+        const b = vs[(i + 1) % vs.length];
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const along = p => ((p.x - a.x) * dx + (p.y - a.y) * dy)
+              / (dx * dx + dy * dy);
+        const ts = [ 0 ];
+        for (const d of this.doorways)
+          if (onBoundary(d.from, [ a, b ]) && onBoundary(d.to, [ a, b ]))
+            ts.push(along(d.from), along(d.to));
+        const cuts = [ ...new Set(ts) ].filter(t => t >= 0 && t < 1)
+              .sort((x, y) => x - y);
+        cuts.forEach((t, k) => {
+          const m = (t + (cuts[k + 1] ?? 1)) / 2;
+          const mid = { x: a.x + m * dx, y: a.y + m * dy };
+          points.push(t === 0 ? a : { x: a.x + t * dx, y: a.y + t * dy });
+          gaps.push(this.doorways.some(d => onBoundary(mid, [ d.from, d.to ]))
+                    ? 0 : this.gapAt(a));
+        });
+      });
+      return inset(points, i => gaps[i], false);
+    };
+    return {
+      rooms: rooms.map(room),
+      holes: this.holes.map(hole => inset(
+        hole.vertices, i => this.gapAt(hole.vertices[i]), true))
+    };
+  }
+
+  /**
+   * Find the walls between the room and the rooms joined to it
+   * @return {object[]} list of walls, each {from:{x,y}, to:{x,y}}
+   */
+  walls() {
+    const rooms = [ this.vertices, ...this.joined.map(r => r.vertices) ];
+    const walls = [];
+    for (let i = 0; i < rooms.length; i++)
+      for (let j = i + 1; j < rooms.length; j++)
+        walls.push(...sharedWalls(rooms[i], rooms[j]));
+    return walls;
+  }
+
+  /**
+   * Bounding rect of the room (and any joined rooms) on the plan,
+   * {left:number, top:number, width:number, height:number}
+   * @member {object}
+   */
+  get extent() {
+    const vs = this.vertices.concat(...this.joined.map(r => r.vertices));
+    const xs = vs.map(v => v.x), ys = vs.map(v => v.y);
+    const left = Math.min(...xs), top = Math.min(...ys);
+    return {
+      left: left, top: top,
+      width: Math.max(...xs) - left, height: Math.max(...ys) - top
+    };
+  }
+
+  /**
+   * The side of the plan ("top", "right", "bottom" or "left") that
+   * the top (">") ends of the boards face
+   * @member {string}
+   */
+  get topSide() {
+    return Room.SIDES[this.DIRECTION / 90] ?? "top";
+  }
+
+  /**
+   * The side of the plan ("top", "right", "bottom" or "left") that
+   * the first column is laid against, a quarter turn anticlockwise
+   * from topSide
+   * @member {string}
+   */
+  get startSide() {
+    return Room.SIDES[(this.DIRECTION / 90 + 3) % 4] ?? "left";
+  }
+
+  /**
+   * Is the floor laid as blocks, in a herringbone or chevron
+   * pattern, rather than in columns?
+   * @member {boolean}
+   */
+  get parquet() {
+    return this.PATTERN === "herringbone" || this.PATTERN === "chevron";
+  }
+
+  /**
+   * Get a name for a vertex, for use in messages
+   * @param {number} i index of the vertex
+   * @return {string} the vertex id in quotes, or the index if it
+   * has no id
+   */
+  vertexName(i) {
+    const v = this.vertices[i];
+    return (v && v.id) ? `'${v.id}'` : `#${i}`;
+  }
+
+  /**
+   * Check the room polygon, and the holes in it, are usable for
+   * layout. Problems are described using the vertex ids, e.g.
+   * "edge 'kitchen door'→'kitchen corner' is diagonal". Layout is
+   * blocked while there are problems.
+   * @return {string[]} list of problems found, empty if the room is OK
+   */
+  validate() {
+    const errors = polygonProblems(this.vertices, i => this.vertexName(i));
+
+    if (![ 0, 90, 180, 270 ].includes(this.DIRECTION))
+      errors.push(`direction ${this.DIRECTION} is not 0, 90, 180 or 270`);
+
+    if (!Room.PATTERNS.includes(this.PATTERN))
+      errors.push(`pattern '${this.PATTERN}' is not one of ${Room.PATTERNS.join(", ")}`);
+    else if (this.PATTERN !== "straight") {
+      if (this.boardLengths().length > 1)
+        errors.push(`the ${this.PATTERN} pattern needs boards that are all the same length`);
+      if (this.PATTERN === "brick"
+          && !(Number.isInteger(this.BOND) && this.BOND >= 2))
+        errors.push(`brick bond ${this.BOND} is not a whole number of at least 2`);
+      if (this.PATTERN === "chevron"
+          && !(this.PATTERN_ANGLE > 0 && this.PATTERN_ANGLE < 90))
+        errors.push(`chevron angle ${this.PATTERN_ANGLE} is not between 0 and 90`);
+    }
+
+    if (this.EXPANSION_GAP < 0)
+      errors.push("the expansion gap can't be negative");
+    const ids = [ this.vertices, ...this.joined.map(r => r.vertices),
+                  ...this.holes.map(h => h.vertices) ].flat().map(v => v.id);
+    for (const id of Object.keys(this.gaps))
+      if (!ids.includes(id))
+        errors.push(`there is an expansion gap for unknown vertex '${id}'`);
+      else if (!(this.gaps[id] >= 0))
+        errors.push(`the expansion gap for vertex '${id}' can't be negative`);
+
+    const rooms = [ this.vertices, ...this.joined.map(r => r.vertices) ];
+    for (const r of this.joined) {
+      const vs = r.vertices;
+      const name = i => (vs[i] && vs[i].id) ? `'${vs[i].id}'` : `#${i}`;
+      for (const problem of polygonProblems(vs, name))
+        errors.push(`room '${r.id}': ${problem}`);
+    }
+    const names = [ "the room", ...this.joined.map(r => `room '${r.id}'`) ];
+    for (let i = 0; i < rooms.length; i++)
+      for (let j = i + 1; j < rooms.length; j++)
+        if (overlapping(rooms[i], rooms[j]))
+          errors.push(`${names[i]} overlaps ${names[j]}`);
+
+    const walls = this.walls();
+    for (const doorway of this.doorways) {
+      const mid = {
+        x: (doorway.from.x + doorway.to.x) / 2,
+        y: (doorway.from.y + doorway.to.y) / 2
+      };
+      if (!walls.some(w => onBoundary(mid, [ w.from, w.to ])))
+        errors.push(`doorway '${doorway.id}' is not on a wall between joined rooms`);
+    }
+
+    for (const hole of this.holes) {
+      const vs = hole.vertices;
+      const name = i => (vs[i] && vs[i].id) ? `'${vs[i].id}'` : `#${i}`;
+      for (const problem of polygonProblems(vs, name))
+        errors.push(`hole '${hole.id}': ${problem}`);
+      vs.forEach((v, i) => {
+        if (!rooms.some(r => insideOrOn(v, r)))
+          errors.push(`hole '${hole.id}': vertex ${name(i)} is outside the room`);
+      });
+    }
+
+    // Only worth checking the gaps leave a usable boundary once
+    // the walls are OK
+    if (errors.length > 0)
+      return errors;
+    const boundary = this.boundary();
+    boundary.rooms.forEach((vs, i) => {
+      if (polygonProblems(vs, j => `#${j}`).length > 0)
+        errors.push(`the expansion gaps are too big for ${names[i]}`);
+    });
+    boundary.holes.forEach((vs, i) => {
+      if (polygonProblems(vs, j => `#${j}`).length > 0)
+        errors.push(`the expansion gaps are too big around hole '${this.holes[i].id}'`);
+    });
+    return errors;
+  }
+
+  /**
+   * Add a vertex to the end of the vertex list. The vertex is moved
+   * so the edge from the previous vertex is horizontal, vertical or
+   * at 45 degrees, whichever is closest.
+   * @param {number} x x coordinate
+   * @param {number} y y coordinate
+   * @param {string} id id for the vertex
+   * @return {object} the vertex added
+   */
+  addVertex(x, y, id) {
+    const last = this.vertices[this.vertices.length - 1];
+    if (last) {
+      const dx = Math.abs(x - last.x), dy = Math.abs(y - last.y);
+      // tan(22.5 degrees) is halfway between square and diagonal
+      if (Math.min(dx, dy) > Math.tan(Math.PI / 8) * Math.max(dx, dy))
+        y = last.y + Math.sign(y - last.y) * dx;
+      else if (dx > dy)
+        y = last.y;
+      else
+        x = last.x;
+    }
+    const v = { x: x, y: y, id: id ?? `${this.vertices.length}` };
+    this.vertices.push(v);
+    return v;
+  }
+
+  /**
+   * Move a vertex. The neighbouring vertices are moved too, so
+   * the edges to them stay horizontal or vertical.
+   * @param {number} i index of the vertex
+   * @param {number} x new x coordinate
+   * @param {number} y new y coordinate
+   */
+  moveVertex(i, x, y) {
+    const vs = this.vertices, n = vs.length;
+    const v = vs[i];
+    for (const nb of [ vs[(i + n - 1) % n], vs[(i + 1) % n] ]) {
+      if (nb === v)
+        continue;
+      if (nb.y === v.y)
+        nb.y = y;
+      else if (nb.x === v.x)
+        nb.x = x;
+    }
+    v.x = x;
+    v.y = y;
+  }
+
+  /**
+   * Get the length of a wall
+   * @param {number} i index of the vertex at the start of the wall
+   * @return {number} length of the wall to the next vertex
+   */
+  wallLength(i) {
+    const a = this.vertices[i];
+    const b = this.vertices[(i + 1) % this.vertices.length];
+    return Math.hypot(b.x - a.x, b.y - a.y);
+  }
+
+  /**
+   * Set the length of a wall, by moving the vertex at the end of the
+   * wall (and, for a horizontal or vertical wall, the one after it,
+   * so the next wall stays straight). The wall after the next absorbs
+   * the change. A sloped wall keeps its angle, and the next wall
+   * absorbs the change.
+   * @param {number} i index of the vertex at the start of the wall
+   * @param {number} length the new length
+   */
+  setWallLength(i, length) {
+    const vs = this.vertices, n = vs.length;
+    const a = vs[i], b = vs[(i + 1) % n], c = vs[(i + 2) % n];
+    if (a.y === b.y) {
+      const dx = a.x + (Math.sign(b.x - a.x) || 1) * length - b.x;
+      if (c.x === b.x && c !== a)
+        c.x += dx;
+      b.x += dx;
+    } else if (a.x === b.x) {
+      const dy = a.y + (Math.sign(b.y - a.y) || 1) * length - b.y;
+      if (c.y === b.y && c !== a)
+        c.y += dy;
+      b.y += dy;
+    } else {
+      const scale = length / this.wallLength(i);
+      b.x = a.x + (b.x - a.x) * scale;
+      b.y = a.y + (b.y - a.y) * scale;
+    }
+  }
+
+  /**
+   * Find the spans of the room crossed by a vertical strip. A strip
+   * may cross the room several times, for example either side of a
+   * notch, an island or a hole. Where a span of the room covers any
+   * part of the width of the strip, it is taken as covering the
+   * whole width. Conversely, where a hole covers any part of the
+   * width of the strip, the strip is interrupted. In a room with only
+   * right-angle walls, a span is also split where a wall turns a
+   * corner across the strip.
+   * @param {number} left left edge of the strip
+   * @param {number} right right edge of the strip
+   * @return {object[]} list of {top:number, bottom:number}, ordered
+   * top to bottom
+   */
+  spans(left, right) {
+    const holes = crossings(this.holeHedges, left, right, true);
+    const spans = [];
+    for (const span of crossings(this.hedges, left, right)) {
+      let top = span.top;
+      for (const hole of holes) {
+        if (hole.bottom <= top || hole.top >= span.bottom)
+          continue;
+        if (hole.top > top)
+          spans.push({ top: top, bottom: hole.top });
+        top = Math.max(top, hole.bottom);
+      }
+      if (top < span.bottom)
+        spans.push({ top: top, bottom: span.bottom });
+    }
+
+    // Boards can't run through the walls between joined rooms,
+    // except where a doorway is at least as wide as the strip. A
+    // strip that only partly meets a doorway is split at the wall.
+    const across = hedge => hedge.left < right - 1e-6
+          && hedge.right > left + 1e-6;
+    const ys = this.wallHedges.filter(
+      wall => across(wall) && !this.doorwayHedges.some(
+        door => door.left <= left + 1e-6 && door.right >= right - 1e-6
+        && Math.abs(door.y - wall.y) < 1e-6)).map(wall => wall.y);
+
+    // Where all the walls are square to the boards, a wall that turns
+    // a corner across the strip would leave the planks running past
+    // it. The strip is split at the corner instead, so each segment
+    // can be ripped to the width of the floor beside it.
+    if (this.hedges.every(hedge => hedge.slope === 0))
+      ys.push(...this.hedges.filter(
+        hedge => across(hedge)
+          && (hedge.left > left + 1e-6 || hedge.right < right - 1e-6))
+              .map(hedge => hedge.y));
+
+    if (ys.length === 0)
+      return spans;
+    const split = [];
+    for (const span of spans) {
+      let top = span.top;
+      for (const y of ys.sort((a, b) => a - b))
+        if (y > top + 1e-6 && y < span.bottom - 1e-6) {
+          split.push({ top: top, bottom: y });
+          top = y;
+        }
+      split.push({ top: top, bottom: span.bottom });
+    }
+    return split;
+  }
+
+  /**
+   * Find how much of the width of a column segment is actually inside
+   * the room, and record the rip cuts needed on planks in the column.
+   * @param {Column} col the column segment
+   */
+  rip(col) {
+    let left = col.right, right = col.left;
+    for (const slice of slices(this.hedges, col.left, col.right)) {
+      if (slice.spans.find(
+        span => span.top < col.bottom && span.bottom > col.top)) {
+        left = Math.min(left, slice.left);
+        right = Math.max(right, slice.right);
+      }
+    }
+    if (left < right) {
+      col.rip_left = left - col.left;
+      col.rip_right = col.right - right;
+    }
+  }
+
+  /**
+   * Find where the ends of a column segment meet the walls (or the
+   * edges of holes), and record the angle the planks at that end
+   * have to be cut to, or how far they run past the wall where they
+   * can't be cut to fit. See fitEnd().
+   * @param {Column} col the column segment
+   */
+  mitre(col) {
+    const l = col.plankLeft, r = col.plankLeft + col.plankWidth;
+    // Where the floor ends across the planks, at each end of the
+    // column. Within a slice, each end of the floor is a single edge.
+    const tops = [], bottoms = [];
+    const nearest = (spans, y, end) => spans.reduce(
+      (best, span) => Math.abs(span[end] - y) < Math.abs(best[end] - y)
+        ? span : best);
+    for (const slice of slices(this.hedges.concat(this.holeHedges), l, r)) {
+      const spans = slice.spans.filter(
+        span => span.top < col.bottom && span.bottom > col.top);
+      if (spans.length === 0)
+        continue;
+      const above = nearest(spans, col.top, "top").above;
+      const below = nearest(spans, col.bottom, "bottom").below;
+      for (const x of [ slice.left, slice.right ]) {
+        tops.push({ x: x, y: above.yAt(x) });
+        bottoms.push({ x: x, y: below.yAt(x) });
+      }
+    }
+    const top = fitEnd(tops, col.top, -1);
+    const bottom = fitEnd(bottoms, col.bottom, 1);
+    col.mitre_top = top.mitre;
+    col.overlap_top = top.overlap;
+    col.mitre_bottom = bottom.mitre;
+    col.overlap_bottom = bottom.overlap;
+  }
+
+  /**
+   * Find the planks that run past a wall, where the wall turns a
+   * corner across the end of a column and the end can't be cut to
+   * fit with a single straight cut. These have to be scribed to fit.
+   * @return {Plank[]} the planks
+   */
+  overlapping() {
+    return this.columns.flatMap(col => col.planks.filter(p => p.overlaps));
+  }
+
+  /**
+   * Count the angled cuts that are needed as well as the cross-cuts
+   * to length. The end of a column under a sloped wall needs an extra
+   * cut, unless the plank there is being cut to length at that end
+   * anyway.
+   * @return {number} number of extra cuts
+   * @private
+   */
+  angledCuts() {
+    let cuts = 0;
+    for (const col of this.columns) {
+      const first = col.planks[0], last = col.planks[col.planks.length - 1];
+      if (first && first.mitre_top !== 0)
+        cuts++;
+      if (last && last.mitre_bottom !== 0 && last.cut_end !== "<")
+        cuts++;
+    }
+    return cuts;
+  }
+
+  /**
+   * Get the full board lengths available
+   * @return {object[]} array of {length:number, count:number}, ordered
+   * shortest first, where count is only given if the number of
+   * boards is limited.
+   */
+  boardLengths() {
+    const lengths = this.lengths.length > 0
+          ? this.lengths : [ { length: this.PLANK_LENGTH } ];
+    return lengths.slice().sort((a, b) => a.length - b.length);
+  }
+
+  /**
+   * Parse a string describing board lengths, as used in the UI,
+   * e.g. "60x20, 90, 120x5" means 20 boards 60 long, any number 90
+   * long, and 5 boards 120 long.
+   * @param {string} s the string to parse
+   * @return {object[]} array of {length:number, count:number}
+   */
+  static parseLengths(s) {
+    const lengths = [];
+    for (const bit of s.split(/[,\s]+/)) {
+      const m = /^(\d*\.?\d+)(?:[x*](\d+))?$/.exec(bit);
+      if (!m)
+        continue;
+      const l = { length: parseFloat(m[1]) };
+      if (m[2])
+        l.count = parseInt(m[2]);
+      lengths.push(l);
+    }
+    return lengths;
+  }
+
+  /**
+   * Format board lengths as a string that can be parsed by parseLengths
+   * @param {object[]} lengths array of {length:number, count:number}
+   * @return {string} formatted lengths
+   */
+  static formatLengths(lengths) {
+    return lengths.map(
+      l => typeof l.count === "number" ? `${l.length}x${l.count}` : `${l.length}`)
+    .join(", ");
+  }
+
+  /**
+   * Get the y coordinates of joints between planks in columns that
+   * have already been laid next to the given column
+   * @param {Column} col the column
+   * @return {number[]} y coordinates of joints
+   */
+  neighbourJoints(col) {
+    const joints = [];
+    for (const other of this.columns) {
+      if (other === col
+          || (Math.abs(other.right - col.left) > 1e-6
+              && Math.abs(col.right - other.left) > 1e-6)
+          || other.bottom <= col.top || other.top >= col.bottom)
+        continue;
+      joints.push(...other.joints);
+    }
+    return joints;
+  }
+
+  /**
+   * Check if a joint is at least MIN_STAGGER from all joints in a list
+   * @param {number} y the joint
+   * @param {number[]} joints the joints to check against
+   * @return {boolean} true if the joint is far enough from all joints
+   */
+  staggered(y, joints) {
+    for (const j of joints)
+      if (Math.abs(y - j) < this.MIN_STAGGER - 1e-6)
+        return false;
+    return true;
+  }
+
+  /**
+   * Find all the pairs of joints in neighbouring columns that are
+   * closer than MIN_STAGGER
+   * @return {object[]} list of {left:Column, right:Column, ly:number,
+   * ry:number} where left and right are the neighbouring columns and
+   * ly, ry are the y coordinates of the joints in them.
+   */
+  staggerViolations() {
+    const bad = [];
+    for (const [ a, b ] of this.neighbours())
+      for (const ja of a.joints)
+        for (const jb of b.joints)
+          if (Math.abs(ja - jb) < this.MIN_STAGGER - 1e-6)
+            bad.push({ left: a, right: b, ly: ja, ry: jb });
+    return bad;
+  }
+
+  /**
+   * Find the pairs of neighbouring columns with joints closer than
+   * MIN_STAGGER, where the layout couldn't keep the stagger.
+   * @return {object[]} list of {left:number, right:number, count:number}
+   * where left and right are the indices of the columns and count is
+   * the number of joints that are too close
+   */
+  unstaggered() {
+    const pairs = [];
+    for (const bad of this.staggerViolations()) {
+      const left = this.columns.indexOf(bad.left);
+      const right = this.columns.indexOf(bad.right);
+      const pair = pairs.find(p => p.left === left && p.right === right);
+      if (pair)
+        pair.count++;
+      else
+        pairs.push({ left: left, right: right, count: 1 });
+    }
+    return pairs;
+  }
+
+  /**
+   * Select the length of a full board to lay, uncut, in a column.
+   * Where there is a choice, prefer the board that keeps its end joint
+   * at least MIN_STAGGER from, and furthest from, joints in
+   * neighbouring columns, that doesn't leave
+   * a gap at the end of the column too short to fill, and then the
+   * longest board.
+   * @param {number} y where the board will be laid
+   * @param {number} h amount of the column left to fill
+   * @param {number[]} joints joints in neighbouring columns
+   * @param {object} stock map from length to number of boards left,
+   * for lengths that are limited. Will be decremented. Once all the
+   * boards have run out, whole boards are still laid as if there
+   * were more, and the count goes negative; stock() reports this as
+   * a shortfall.
+   * @return {number} length of the board to lay, or 0 if the rest of
+   * the column has to be filled with a cut board
+   * @private
+   */
+  selectBoard(y, h, joints, stock) {
+    const lengths = Room.inStock(this.boardLengths(), stock);
+    let best = 0, bestScore;
+    for (const board of lengths) {
+      const length = board.length;
+      if (length > h + 1e-6)
+        continue;
+      if (length >= h - 1e-6) {
+        // Exact fit, no cut needed
+        best = length;
+        break;
+      }
+      let score = length;
+      if (h - length < this.MIN_PLANK_LENGTH)
+        score -= 2 * h; // leaves a gap that's too small
+      if (joints.length > 0)
+        score += 10 * Math.min(
+          ...joints.map(j => Math.abs(y + length - j)),
+          Math.max(this.PLANK_WIDTH, this.MIN_STAGGER));
+      if (!this.staggered(y + length, joints))
+        score -= 1000; // breaks the MIN_STAGGER rule
+      if (best === 0 || score > bestScore) {
+        best = length;
+        bestScore = score;
+      }
+    }
+    if (best > 0 && typeof stock[best] === "number")
+      stock[best]--;
+    return best;
+  }
+
+  /**
+   * Work out the whole boards selectBoard() would lay to fill part of
+   * a column, without laying them
+   * @param {number} y where the first board would be laid
+   * @param {number} h amount of the column to fill
+   * @param {number[]} joints joints in neighbouring columns
+   * @param {object} stock as for selectBoard, but not changed
+   * @return {object} {boards:number[], h:number} the lengths of the
+   * boards, and the amount of the column left to fill with a cut board
+   * @private
+   */
+  planBoards(y, h, joints, stock) {
+    const left = Object.assign({}, stock);
+    const boards = [];
+    let length;
+    while ((length = this.selectBoard(y, h, joints, left)) > 0) {
+      boards.push(length);
+      y += length;
+      h -= length;
+      if (Math.abs(h) < 1e-6)
+        h = 0; // an exact fit, give or take rounding
+    }
+    return { boards: boards, h: h };
+  }
+
+  /**
+   * Would starting a column with a piece of a given length keep
+   * every joint in the column at least MIN_STAGGER from the joints in
+   * neighbouring columns, and leave a piece at the end (if any) no
+   * shorter than MIN_PLANK_LENGTH?
+   * @param {number} y top of the part of the column to fill
+   * @param {number} h amount of the column to fill
+   * @param {number} s length of the piece to start with, 0 to start
+   * with a whole board
+   * @param {number[]} joints joints in neighbouring columns
+   * @param {object} stock as for selectBoard, not changed
+   * @return {boolean} true if the start is good
+   * @private
+   */
+  staggeredStart(y, h, s, joints, stock) {
+    const plan = this.planBoards(y + s, h - s, joints, stock);
+    if (plan.h > 1e-6 && plan.h < this.MIN_PLANK_LENGTH - 1e-6)
+      return false;
+    const bottom = y + h - 1e-6;
+    let joint = y + s;
+    if (s > 0 && joint < bottom && !this.staggered(joint, joints))
+      return false;
+    for (const length of plan.boards) {
+      joint += length;
+      if (joint < bottom && !this.staggered(joint, joints))
+        return false;
+    }
+    return true;
+  }
+
+  /**
+   * Find the lengths of piece that could start a column, as
+   * candidates for staggeredStart(). Whether a start works only
+   * changes where a joint comes just MIN_STAGGER from a joint in a
+   * neighbouring column, or where the piece left at the end of the
+   * column becomes too short. Those lengths are tried, and a length
+   * between each pair of them, so every span of lengths that works
+   * is covered.
+   * @param {number} y top of the part of the column to fill
+   * @param {number} h amount of the column to fill
+   * @param {number[]} joints joints in neighbouring columns
+   * @return {number[]} candidate lengths, at least MIN_PLANK_LENGTH
+   * and less than both h and the longest board, longest first
+   * @private
+   */
+  startLengths(y, h, joints) {
+    const boards = this.boardLengths();
+    const min = this.MIN_PLANK_LENGTH;
+    const max = Math.min(h, boards[boards.length - 1].length);
+    const edges = [];
+    for (const board of boards)
+      for (let k = 0; k * board.length < h; k++) {
+        // Put the joint after k boards just far enough from j
+        for (const j of joints)
+          for (const d of [ -1, 1 ])
+            edges.push(j + d * this.MIN_STAGGER - y - k * board.length);
+        // Leave just MIN_PLANK_LENGTH, or nothing, after k boards
+        edges.push(h - k * board.length - min, h - k * board.length);
+      }
+    const inside = [ min, ...edges.filter(s => s > min && s < max), max ]
+          .sort((a, b) => a - b);
+    const lengths = [];
+    for (let i = 0; i < inside.length - 1; i++) {
+      if (inside[i + 1] - inside[i] < 1e-6)
+        continue;
+      lengths.push(inside[i], (inside[i] + inside[i + 1]) / 2);
+    }
+    return lengths.filter(s => s >= min && s < max).sort((a, b) => b - a);
+  }
+
+  /**
+   * Choose how to start a column so that its joints keep MIN_STAGGER
+   * from the joints in neighbouring columns. In order of preference,
+   * it can start with an offcut as it is, with a whole board, with an
+   * offcut cut shorter, or with a new board cut to length to shift
+   * the first joint.
+   * @param {Column} col the column
+   * @param {number} y top of the part of the column to fill
+   * @param {number} h amount of the column to fill
+   * @param {number[]} joints joints in neighbouring columns
+   * @param {object} stock as for selectBoard. Decremented if a new
+   * board is cut.
+   * @param {function?} rand as for selectPartial
+   * @return {object?} {piece:Plank?} where piece is the plank to start
+   * the column with (undefined to start with a whole board), or
+   * undefined if there's no way to keep the stagger
+   * @private
+   */
+  staggerStart(col, y, h, joints, stock, rand) {
+    // An offcut as it is
+    const piece = this.selectPartial(
+      ">", 0, h, col, rand,
+      p => this.staggeredStart(y, h, p.length, joints, stock));
+    if (piece)
+      return { piece: piece };
+
+    // A whole board
+    if (this.staggeredStart(y, h, 0, joints, stock))
+      return {};
+
+    const lengths = this.startLengths(y, h, joints).filter(
+      s => this.staggeredStart(y, h, s, joints, stock));
+    if (lengths.length === 0)
+      return undefined;
+
+    // An offcut cut shorter, wasting as little as possible
+    let best, bestLength;
+    for (const p of this.partials) {
+      if ((p.cut_end !== ">" && p.cut_end !== "") || !this.canCut(p)
+          || p.rip_left > col.rip_left || p.rip_right > col.rip_right)
+        continue;
+      const s = lengths.find(l => l <= p.length);
+      if (typeof s === "number"
+          && (!best || p.length - s < best.length - bestLength)) {
+        best = p;
+        bestLength = s;
+      }
+    }
+    if (best) {
+      this.partials.splice(this.partials.indexOf(best), 1);
+      this.trimPartial(best, bestLength, ">");
+      return { piece: best };
+    }
+
+    // A new board, cut to shift the first joint. The other end of the
+    // board is kept, if it's long enough.
+    const s = lengths[0];
+    const board = this.cutBoard(s, stock);
+    this.planksNeeded++;
+    this.boardage += board;
+    this.cuts++;
+    const cut = new Plank({ length: s, board: board, cut_end: ">", offcut: false });
+    const over = board - s - this.CUT_THICKNESS;
+    if (over > this.MIN_PLANK_LENGTH)
+      this.partials.push(new Plank({
+        length: over, board: board, id: cut.id, cut_end: "<", offcut: true
+      }));
+    return { piece: cut };
+  }
+
+  /**
+   * In a brick bond, find where the first joint in a column has to
+   * be. The joints in each column are 1/BOND of a board further down
+   * than in the column to the left, repeating every BOND columns, and
+   * START_TOP sets where the joints in the first column are.
+   * @param {Column} col the column
+   * @return {number} distance from the top of the column to the
+   * first joint, 0 if the column starts with a whole board
+   * @private
+   */
+  bondStart(col) {
+    const length = this.boardLengths()[0].length;
+    const strip = Math.round(
+      (col.left - this.leftmost - this.START_LEFT) / this.PLANK_WIDTH);
+    const y = this.topmost + this.START_TOP
+          + (strip % this.BOND) * length / this.BOND;
+    const d = ((y - col.top) % length + length) % length;
+    return d < 1e-6 || length - d < 1e-6 ? 0 : d;
+  }
+
+  /**
+   * Select a board to cut to a length. The shortest board that is
+   * long enough is chosen, from the boards left in stock if there
+   * are any, as for selectBoard.
+   * @param {number} h length required, no longer than the longest
+   * board
+   * @param {object} stock map from length to number of boards left,
+   * for lengths that are limited. Will be decremented.
+   * @return {number} length of the board to cut
+   * @private
+   */
+  cutBoard(h, stock) {
+    const lengths = this.boardLengths();
+    const board = lengths.find(
+      b => b.length >= h - 1e-6 && !(stock[b.length] <= 0))
+          // None left in stock that are long enough
+          ?? lengths.find(b => b.length >= h - 1e-6);
+    if (typeof stock[board.length] === "number")
+      stock[board.length]--;
+    return board.length;
+  }
+
+  /**
+   * Find the board lengths that can be used. These are the lengths
+   * that haven't run out, or all the lengths if they all have.
+   * @param {object[]} lengths board lengths, as boardLengths()
+   * @param {object} stock map from length to number of boards left,
+   * for lengths that are limited
+   * @return {object[]} the lengths that can be used
+   * @private
+   */
+  static inStock(lengths, stock) {
+    const left = lengths.filter(b => !(stock[b.length] <= 0));
+    return left.length > 0 ? left : lengths;
+  }
+
+  /**
+   * Count the number of boards of each length used in the layout
+   * @return {object} map from board length to number of boards
+   */
+  boardsUsed() {
+    const boards = {};
+    const seen = {};
+    for (const col of this.columns)
+      for (const plank of col.planks)
+        if (!plank.permanent && !seen[plank.id]) {
+          seen[plank.id] = true;
+          boards[plank.board] = (boards[plank.board] ?? 0) + 1;
+        }
+    const blocks = this.blocks.filter(b => typeof b.from === "undefined");
+    if (blocks.length > 0)
+      boards[this.PLANK_LENGTH] = blocks.length;
+    return boards;
+  }
+
+  /**
+   * Select a partial plank to start a new column with from the set of
+   * partials. The selection is based on minimising the number of cuts
+   * and waste. Partials with neither end cut will do as well.
+   * @param {string} cut_end the cut end required
+   * @param {number} min_length partial must be longer than this
+   * @param {number} max_length partial must be no longer than this
+   * @param {Column?} col if given, the partial must be wide enough
+   * to fit the column. Partials that have already been ripped can only
+   * be used where the column needs at least the same rip.
+   * @param {function?} rand if given, a random number generator
+   * (as Math.random) used to choose among the candidate partials,
+   * instead of choosing the longest.
+   * @param {function?} accept if given, a function that is passed
+   * each candidate partial, and returns false if it should not be
+   * chosen.
+   * @return {Plank?} the selected partial, removed from the partials
+   */
+  selectPartial(cut_end, min_length = 0,
+                max_length = Number.MAX_SAFE_INTEGER, col, rand, accept) {
+    let best = -1;
+    let bl = Number.MIN_SAFE_VALUE;
+    const candidates = [];
+    for (let i = 0; i < this.partials.length; i++) {
+      const partial = this.partials[i];
+      if ((partial.cut_end == cut_end || partial.cut_end === "")
+          && partial.length > min_length
+          && partial.length <= max_length
+          && (!col || (partial.rip_left <= col.rip_left
+                       && partial.rip_right <= col.rip_right))
+          && (!accept || accept(partial))) {
+        candidates.push(i);
+        if (best < 0 || partial.length > bl) {
+          best = i;
+          bl = partial.length;
+        }
+      }
+    }
+    if (best < 0)
+      return undefined;
+
+    if (rand)
+      best = candidates[Math.floor(rand() * candidates.length)];
+
+    return this.partials.splice(best, 1)[0];
+  }
+
+  /**
+   * Select the shortest partial plank that can be cut down to a
+   * length, to waste as little as possible. Partials with neither end
+   * cut will do as well. User partials are only selected if they are
+   * the right length, unless they can be cut (see canCut()).
+   * @param {string} cut_end the cut end required
+   * @param {number} length the length required
+   * @param {Column} col the partial must be wide enough to fit this
+   * column, as for selectPartial
+   * @param {boolean} whole true if the partial fills the column from
+   * end to end, so a partial with both ends cut can be used too
+   * @return {Plank?} the selected partial, removed from the partials
+   * @private
+   */
+  fitPartial(cut_end, length, col, whole = false) {
+    let best;
+    for (const p of this.partials)
+      if ((p.cut_end === cut_end || p.cut_end === ""
+           || (whole && p.cut_end === "<>"))
+          && p.length >= length - 1e-6
+          && (this.canCut(p) || p.length <= length + 1e-6)
+          && p.rip_left <= col.rip_left && p.rip_right <= col.rip_right
+          && (!best || p.length < best.length))
+        best = p;
+    if (best)
+      this.partials.splice(this.partials.indexOf(best), 1);
+    return best;
+  }
+
+  /**
+   * Can a partial be cut to fit? User partials can't, unless they are
+   * offcuts taken from an Inventory.
+   * @param {Plank} p the partial
+   * @return {boolean} true if it can be cut
+   * @private
+   */
+  canCut(p) {
+    return !p.permanent || typeof p.inventory === "number";
+  }
+
+  /**
+   * Get the cut end of a plank from which of its ends are cut
+   * @param {boolean} bottom true if the bottom end is cut
+   * @param {boolean} top true if the top end is cut
+   * @return {string} the cut end, as Plank.cut_end
+   * @private
+   */
+  static cutEnd(bottom, top) {
+    return bottom ? (top ? "<>" : "<") : (top ? ">" : "");
+  }
+
+  /**
+   * Cut a partial down to a length, at one end. The piece cut off is
+   * kept in the partials, with the same id, if it's long enough. An
+   * offcut from an Inventory records what it was before it was cut,
+   * and so do the pieces cut from it.
+   * @param {Plank} piece the partial, already taken out of the partials
+   * @param {number} length the length to cut it to
+   * @param {string} end the end to cut, "<" (bottom) or ">" (top)
+   * @private
+   */
+  trimPartial(piece, length, end) {
+    if (piece.length > length + 1e-6) {
+      this.cuts++;
+      const lo = piece.cut_end.includes("<");
+      const hi = piece.cut_end.includes(">");
+      const uncut = piece.permanent
+            ? piece.uncut ?? { length: piece.length, cut_end: piece.cut_end }
+            : undefined;
+      const over = piece.length - length - this.CUT_THICKNESS;
+      if (over > this.MIN_PLANK_LENGTH)
+        this.partials.push(new Plank({
+          length: over, board: piece.board, id: piece.id,
+          cut_end: end === "<" ? Room.cutEnd(lo, true) : Room.cutEnd(true, hi),
+          width: piece.width, rip_left: piece.rip_left,
+          rip_right: piece.rip_right, offcut: true,
+          permanent: piece.permanent, inventory: piece.inventory,
+          uncut: uncut
+        }));
+      piece.cut_end = end === "<" ? Room.cutEnd(true, hi) : Room.cutEnd(lo, true);
+      piece.uncut = uncut;
+    }
+    piece.length = length;
+  }
+
+  /**
+   * Clear all partials out of the partials list and
+   * from columns
+   */
+  clearPartials() {
+    this.partials = [];
+
+    for (const col of this.columns) {
+      for (let i = 0; i < col.planks.length; ) {
+        if (col.planks[i].permanent)
+          col.planks.splice(i, 1);
+        else
+          i++;
+      }
+    }
+  }
+
+  /**
+   * Total waste, as a length of board. This is the length of the
+   * boards used less the length of planks cut from them that are laid
+   * (user partials are not counted). For blocks, the length laid is
+   * the area laid divided by the width.
+   * @member {number}
+   */
+  get waste() {
+    let laid = 0;
+    for (const col of this.columns)
+      for (const plank of col.planks)
+        if (!plank.permanent)
+          laid += plank.meanLength;
+    for (const block of this.blocks)
+      laid += block.meanLength;
+    return this.boardage - laid;
+  }
+
+  /**
+   * Work out how many packs of boards have to be bought to lay the
+   * floor, allowing for OVERAGE percent extra, and how far the
+   * PACKS_IN_STOCK will go.
+   * @return {object} stock report, with fields
+   * `packsNeeded` (including overage), `packsToBuy` (packsNeeded less
+   * PACKS_IN_STOCK), `cost` (of packsToBuy) and, if the stock in hand
+   * won't cover the room, `shortfall`, an object giving the `column`
+   * (index) and `plank` (id) where the stock runs out, the `left` of
+   * that column, and the `percent` of the room area that can be laid
+   * before it does. Where blocks are laid, the `column` is the row of
+   * the pattern. Where the number of boards of a length is limited
+   * and the layout needs more, the shortfall is where the first of
+   * them runs out, if that's sooner, and also gives the board
+   * `length`.
+   */
+  stock() {
+    const perPack = Math.max(1, this.BOARDS_PER_PACK);
+    const packsNeeded = Math.ceil(
+      this.planksNeeded * (1 + this.OVERAGE / 100) / perPack);
+    const packsToBuy = Math.max(0, packsNeeded - this.PACKS_IN_STOCK);
+    const report = {
+      packsNeeded: packsNeeded,
+      packsToBuy: packsToBuy,
+      cost: packsToBuy * this.PACK_PRICE
+    };
+
+    const inStock = this.PACKS_IN_STOCK > 0
+          ? this.PACKS_IN_STOCK * perPack : Number.MAX_SAFE_INTEGER;
+    // Boards left of each length, where the number is limited
+    const left = {};
+    for (const board of this.lengths)
+      if (typeof board.count === "number")
+        left[board.length] = board.count;
+    const boards = this.boardsUsed();
+    if (inStock >= this.planksNeeded
+        && Object.keys(left).every(l => (boards[l] ?? 0) <= left[l]))
+      return report;
+
+    // Walk the layout in installation order, counting boards taken
+    // from stock. User partials don't come from stock.
+    let total = 0;
+    for (const col of this.columns)
+      total += col.height * col.plankWidth;
+    const used = {};
+    let nUsed = 0, area = 0;
+    for (let ci = 0; ci < this.columns.length; ci++) {
+      const col = this.columns[ci];
+      for (const plank of col.planks) {
+        if (!plank.permanent && !used[plank.id]) {
+          const out = left[plank.board] === 0;
+          if (nUsed === inStock || out) {
+            report.shortfall = {
+              column: ci, plank: plank.id, left: col.left,
+              percent: total > 0 ? 100 * area / total : 0
+            };
+            if (out)
+              report.shortfall.length = plank.board;
+            return report;
+          }
+          used[plank.id] = true;
+          nUsed++;
+          if (typeof left[plank.board] === "number")
+            left[plank.board]--;
+        }
+        area += plank.length * plank.width;
+      }
+    }
+
+    // Blocks each take a board, all the same length, unless they are
+    // cut from the offcut of an earlier block
+    const limit = Math.min(inStock, ...Object.values(left));
+    const block = this.blocks.filter(
+      b => typeof b.from === "undefined")[limit];
+    if (block) {
+      for (const b of this.blocks)
+        total += b.area;
+      for (const b of this.blocks.slice(0, this.blocks.indexOf(block)))
+        area += b.area;
+      report.shortfall = {
+        column: block.row, plank: block.id,
+        left: Math.min(...block.piece.map(p => p.x)),
+        percent: total > 0 ? 100 * area / total : 0
+      };
+      if (limit < inStock)
+        report.shortfall.length = this.boardLengths()[0].length;
+    }
+    return report;
+  }
+
+  /**
+   * Collect all permanent partials into the partials array, delete
+   * all other partials. Permanent partials in pinned columns are
+   * left where they are. Offcuts from an Inventory that were cut to
+   * fit are put back together, unless part of one is pinned.
+   */
+  collectPermanentPartials() {
+    const pinned = {}; // inventory ids of offcuts in pinned columns
+    for (const col of this.columns)
+      if (col.pinned)
+        for (const plank of col.planks)
+          if (typeof plank.inventory === "number")
+            pinned[plank.inventory] = true;
+
+    const nPartials = [];
+    const whole = {};
+    const collect = p => {
+      if (p.uncut && !pinned[p.inventory]) {
+        if (whole[p.inventory])
+          return; // another piece of the same offcut
+        whole[p.inventory] = true;
+        p.length = p.uncut.length;
+        p.cut_end = p.uncut.cut_end;
+        p.uncut = undefined;
+      }
+      nPartials.push(p);
+    };
+
+    for (const p of this.partials)
+      if (p.permanent)
+        collect(p);
+
+    for (const col of this.columns)
+      if (!col.pinned)
+        for (const plank of col.planks)
+          if (plank.permanent)
+            collect(plank);
+
+    for (const plank of nPartials)
+      plank.id = Plank.NEXT++;
+
+    this.partials = nPartials;
+  }
+
+  /**
+   * Remove a partial identified by UID. The partial might be resting in
+   * the partials list, or already employed in the layout.
+   * @param {number} uid unique id of the plank to remove
+   */
+  removePartial(uid) {
+    for (let i = 0; i < this.partials.length; i++) {
+      const plank = this.partials[i];
+      if (plank.uid === uid) {
+        this.partials.splice(i, 1);
+        return plank;
+      }
+    }
+
+    for (const col of this.columns) {
+      for (let i = 0; i < col.planks.length; i++) {
+        const plank  = col.planks[i];
+        if (plank.uid === uid) {
+          col.planks.splice(i, 1);
+          return plank;
+        }
+      }
+    }
+
+    return undefined; // partial wasn't found
+  }
+
+  /**
+   * Working left to right, create columns and then populate the
+   * columns with planks. If the room is not valid (see validate())
+   * the floor is left empty. Pinned columns are kept where they still
+   * fit the new columns; any that don't are listed in `unpinned`.
+   * @param {number?} seed if given, seeds a random choice of
+   * partials, otherwise the longest suitable partial is always
+   * chosen. It is recorded in `layoutSeed`.
+   */
+  recomputeFloor(seed) {
+    this.layoutSeed = seed;
+    const rand = typeof seed === "number" ? seededRandom(seed) : undefined;
+    // Reset plank IDs
+    Plank.NEXT = 1;
+
+    // Pinned columns that aren't kept are dropped. Record where they
+    // were, and put any user partials in them back in the partials.
+    const pinned = this.columns.filter(col => col.pinned);
+    const unpin = kept => {
+      this.unpinned = [];
+      for (const col of pinned)
+        if (!kept.includes(col)) {
+          this.unpinned.push({
+            left: col.left, top: col.top, bottom: col.bottom
+          });
+          for (const plank of col.planks)
+            if (plank.permanent) {
+              plank.id = Plank.NEXT++;
+              this.partials.push(plank);
+            }
+        }
+    };
+
+    // Don't try to lay an invalid room
+    if (this.validate().length > 0) {
+      unpin([]);
+      this.columns = [];
+      this.blocks = [];
+      this.seeds = [];
+      this.planksNeeded = 0;
+      this.boardage = 0;
+      this.cuts = 0;
+      return;
+    }
+
+    // Retain permanent partials, discard all others
+    this.collectPermanentPartials();
+
+    if (this.parquet) {
+      // Blocks are laid in a pattern of their own, not in columns,
+      // and every block is a whole board
+      unpin([]);
+      this.columns = [];
+      this.seeds = [];
+      this.blocks = new Parquet(this).lay();
+      this.planksNeeded = this.blocks.filter(
+        b => typeof b.from === "undefined").length;
+      this.boardage = this.planksNeeded * this.PLANK_LENGTH;
+      this.cuts = this.blocks.reduce((t, b) => t + b.cuts, 0);
+      return;
+    }
+    this.blocks = [];
+
+    // Pinned columns are kept as they are, if they match one of the
+    // new columns. Give their planks ids that won't clash with the new
+    // planks; they are renumbered later.
+    for (const col of pinned)
+      for (const plank of col.planks)
+        plank.id = -Math.abs(plank.id);
+
+    // Divide the room into columns, and each column into segments,
+    // one for each interior span of the room the column crosses
+    const columns = [];
+    for (let l = this.leftmost + this.START_LEFT;
+         l < this.rightmost; l += this.PLANK_WIDTH) {
+      for (const span of this.spans(l, l + this.PLANK_WIDTH)) {
+        const pin = pinned.find(
+          col => Math.abs(col.left - l) < 1e-6
+          && col.top === span.top && col.bottom === span.bottom);
+        if (pin) {
+          columns.push(pin);
+          continue;
+        }
+        const col = new Column({
+          left: l, width: this.PLANK_WIDTH,
+          top: span.top, bottom: span.bottom
+        });
+        this.rip(col);
+        this.mitre(col);
+        columns.push(col);
+      }
+    }
+    unpin(columns);
+    this.columns = columns,
+    this.seeds = [],
+    this.planksNeeded = 0,
+    this.boardage = 0,
+    //this.waste = 0,
+    this.cuts = 0;
+
+    // Number of boards of each length remaining, where it is limited
+    const stock = {};
+    for (const board of this.boardLengths())
+      if (typeof board.count === "number")
+        stock[board.length] = board.count;
+    // Can we start the column with a partial?
+    let pickPartial = true;
+    const brick = this.PATTERN === "brick";
+
+    let ci = 0;
+    while (ci < columns.length) {
+      const col = columns[ci];
+      if (col.pinned) {
+        ci++;
+        continue;
+      }
+      // offset from the top of the column. In a brick bond START_TOP
+      // positions the joints instead.
+      const first_offset = ci === 0 && !brick ? this.START_TOP : 0;
+      let y = col.top + first_offset; // place to put next plank
+      let h = col.height - first_offset; // amt of this col to fill
+      const joints = this.neighbourJoints(col);
+      let partial;
+      const need = brick ? this.bondStart(col) : 0;
+      if (need > 0 && need < h) {
+        // The first joint is fixed by the bond. Start the column with
+        // an offcut, trimmed to fit, or cut a new board.
+        let piece = this.fitPartial(">", need, col);
+        if (piece)
+          this.trimPartial(piece, need, ">");
+        else {
+          const board = this.cutBoard(need, stock);
+          this.planksNeeded++;
+          this.boardage += board;
+          this.cuts++;
+          piece = new Plank({
+            length: need, board: board, cut_end: ">", offcut: false
+          });
+          // The other end of the board is kept, if it's long enough
+          const over = board - need - this.CUT_THICKNESS;
+          if (over > this.MIN_PLANK_LENGTH)
+            this.partials.push(new Plank({
+              length: over, board: board, id: piece.id, cut_end: "<",
+              offcut: true
+            }));
+        }
+        piece.top = y;
+        col.fit(piece);
+        col.planks.push(piece);
+        y += need;
+        h -= need;
+      } else if (pickPartial && !brick) {
+        // Start the column so all its joints are staggered, if we
+        // can. Otherwise prefer a partial that keeps the end joint
+        // staggered; the joints left too close are reported by
+        // unstaggered().
+        const start = this.MIN_STAGGER > 0
+              ? this.staggerStart(col, y, h, joints, stock, rand)
+              : undefined;
+        if (start)
+          partial = start.piece;
+        else
+          partial = this.selectPartial(
+            ">", 0, h, col, rand,
+            p => this.staggered(y + p.length, joints))
+          ?? this.selectPartial(">", 0, h, col, rand);
+        if (partial) {
+          col.planks.push(partial);
+          h -= partial.length;
+          col.fit(partial);
+          partial.top = y;
+          y += partial.length;
+        }
+      }
+      const boards = []; // lengths of full boards used in this column
+      let length;
+      while ((length = this.selectBoard(y, h, joints, stock)) > 0) {
+        const plank = new Plank({ top: y, length: length, board: length });
+        col.fit(plank);
+        col.planks.push(plank);
+        y += length;
+        boards.push(length);
+        h -= length;
+        if (Math.abs(h) < 1e-6)
+          h = 0; // an exact fit, give or take rounding
+      }
+
+      // If we need to cut a plank, and that would result in a cut that's
+      // too short, and we started this column with an offcut, go back
+      // and try again starting the column with a full plank. If that
+      // would leave the end too short as well (the boards are all one
+      // length, so it's easy to tell), cut the offcut shorter instead,
+      // so the end is long enough. The board the offcut came from is
+      // then cut in three, with the middle wasted. That's only
+      // possible if the offcut is still long enough and the joints are
+      // still staggered.
+      const trim = this.MIN_PLANK_LENGTH - h;
+      const lengths = this.boardLengths();
+      const rest = (col.height - first_offset) % lengths[0].length;
+      if (h > 0 && trim > 1e-6 && partial && !partial.permanent
+          && lengths.length === 1
+          && rest > 0 && rest < this.MIN_PLANK_LENGTH
+          && partial.length - trim >= this.MIN_PLANK_LENGTH
+          && col.planks.slice(1).every(p => this.staggered(p.top - trim, joints))) {
+        partial.length -= trim;
+        for (const p of col.planks.slice(1))
+          p.top -= trim;
+        y -= trim;
+        h += trim;
+        this.cuts++;
+      } else if (h > 0 && trim > 1e-6 && partial) {
+        this.partials.push(partial);
+        for (const length of boards)
+          if (typeof stock[length] === "number")
+            stock[length]++; // put the boards back
+        col.planks = []; // try this column again
+        pickPartial = false;
+        continue;
+      }
+
+      this.planksNeeded += boards.length;
+      for (const length of boards)
+        this.boardage += length;
+
+      if (h > 0) {
+        // We haven't filled the column with whole planks. Use an
+        // offcut with its bottom end cut, if we've got one long
+        // enough, trimmed to fit. If nothing else is laid in the
+        // column, an offcut with both ends cut will do as well.
+        let cp = this.fitPartial(
+          "<", h, col, col.planks.length === 0 && first_offset === 0);
+        if (cp)
+          this.trimPartial(cp, h, "<");
+        else {
+          // Otherwise cut a new plank. Part of the plank will be used
+          // in this column, and the other part added to the partials
+          // for future columns.
+          const board = this.cutBoard(h, stock);
+          this.planksNeeded++;
+          this.boardage += board;
+          this.cuts++;
+          cp = new Plank({ length: h, board: board, cut_end: "<" });
+
+          // Deal with the excess by creating a partial
+          const over = board - h - this.CUT_THICKNESS;
+          //this.waste += this.CUT_THICKNESS;
+          if (over > this.MIN_PLANK_LENGTH) {
+            // save the rest of the cut plank
+            const partial = new Plank({
+              top: y + h, length: over, board: board,
+              id: cp.id, cut_end: ">", offcut: true
+            });
+            // Where the piece is all that's laid in the column, it's
+            // cut from the board before it's ripped, so the rest of
+            // the board keeps its full width
+            if (col.planks.length > 0)
+              col.fit(partial);
+            this.partials.push(partial);
+            //console.debug(`\t+1 cut to ${h}, ${over.toFixed(1)}cm left over`);
+          } else {
+            // waste the rest of the cut plank
+            //console.debug(`\t+1 cut to ${h}, ${over}cm wasted`);
+            //this.waste += over;
+          }
+        }
+
+        // Make the length at the bottom of this column
+        cp.top = y;
+        col.fit(cp);
+        y += h;
+        col.planks.push(cp);
+      }
+      col.fitEnds();
+    
+      ci++;
+      pickPartial = true;
+    }
+
+    //for (const plank of this.partials)
+    //  this.waste += plank.length;
+
+    if (pinned.length > this.unpinned.length)
+      // Account for the planks in pinned columns
+      this.reconcile();
+    else
+      this.cuts += this.angledCuts();
+  }
+
+  /**
+   * Randomise the order of columns with the same profile. This is
+   * designed to break up staircase effects that happen when you
+   * simply lay the planks boustrophedonically. The shuffle is
+   * repeatable; shuffling the same layout with the same seed gives
+   * the same result. The seed is recorded in `seeds`. Only straight
+   * layouts are shuffled, as other patterns fix where the joints go.
+   * @param {number} seed seed for the shuffle. A new random seed is
+   * used if not given.
+   */
+  shuffle(seed = newSeed()) {
+    if (this.PATTERN !== "straight")
+      // The pattern fixes where the joints go
+      return;
+    this.seeds.push(seed);
+    const rand = seededRandom(seed);
+    const strips = this.strips();
+
+    // collect columns with the same profile (the same segment tops,
+    // bottoms and rips) into bins
+    const bins = {};
+    for (let i = 0; i < strips.length; i++) {
+      if (this.START_TOP !== 0 && i === 0)
+        // Don't move col[0] if START_TOP is non-zero
+        continue;
+      const strip = strips[i];
+      if (strip.find(col => col.pinned))
+        // Don't move pinned columns
+        continue;
+      const profile = Room.profile(strip);
+      if (!bins[profile])
+        bins[profile] = [];
+      bins[profile].push(strip);
+    }
+
+    // Shuffle the columns in each bin
+    for (const i of Object.keys(bins)) {
+      const bin = bins[i];
+      if (bin.length > 1) {
+        for (let i = 0; i < 2 * bin.length; i++) {
+          const from = i % bin.length;
+          let to = from;
+          while (to == from)
+            to = Math.floor(rand() * bin.length);
+          Room.swapStrips(bin[from], bin[to]);
+        }
+      }
+    }
+
+    this.renumber();
+  }
+
+  /**
+   * Collect the segments of each column together.
+   * @return {Column[][]} list of strips, ordered by left, each a list
+   * of the column segments with that left, ordered by top
+   */
+  strips() {
+    const strips = [];
+    for (const col of this.columns) {
+      const last = strips[strips.length - 1];
+      if (last && last[0].left === col.left)
+        last.push(col);
+      else
+        strips.push([ col ]);
+    }
+    return strips;
+  }
+
+  /**
+   * Get a key that describes the profile of a strip (the segment tops,
+   * bottoms and rips). Strips with the same profile can be swapped.
+   * @param {Column[]} strip the segments of the strip
+   * @return {string} the profile
+   * @private
+   */
+  static profile(strip) {
+    return strip.map(
+      col => `${col.top}:${col.bottom}:${col.rip_left}:${col.rip_right}:${col.mitre_top}:${col.mitre_bottom}:${col.overlap_top}:${col.overlap_bottom}`)
+    .join(",");
+  }
+
+  /**
+   * Swap the positions of two strips
+   * @param {Column[]} a the segments of one strip
+   * @param {Column[]} b the segments of the other strip
+   * @private
+   */
+  static swapStrips(a, b) {
+    const t = a[0].left;
+    const f = b[0].left;
+    for (const col of a) {
+      col.left = f;
+      col.lineUpPlanks();
+    }
+    for (const col of b) {
+      col.left = t;
+      col.lineUpPlanks();
+    }
+  }
+
+  /**
+   * Sort the columns, and renumber the planks left to right. Pieces
+   * cut from the same board keep the same number.
+   * @param {function?} keyOf if given, a function that gets a key
+   * identifying the board a plank came from. Defaults to the plank id.
+   * @private
+   */
+  renumber(keyOf = plank => plank.id) {
+    this.columns.sort((a, b) => (a.left - b.left) || (a.top - b.top));
+
+    let newId = 1;
+    const remap = {};
+    for (const col of this.columns) {
+      for (const plank of col.planks) {
+        const key = keyOf(plank);
+        if (typeof remap[key] == "undefined") {
+          remap[key] = newId++;
+        }
+        plank.id = remap[key];
+      }
+    }
+    for (const plank of this.partials) {
+      const key = keyOf(plank);
+      if (typeof remap[key] == "undefined") {
+        remap[key] = newId++;
+      }
+      plank.id = remap[key];
+    }
+    Plank.NEXT = newId;
+  }
+
+  /**
+   * Find the column segment at a point
+   * @param {number} x x coordinate
+   * @param {number} y y coordinate
+   * @return {Column?} the column segment, or undefined if there's no
+   * column there
+   */
+  columnAt(x, y) {
+    return this.columns.find(
+      col => col.left <= x && x < col.right && col.top <= y && y < col.bottom);
+  }
+
+  /**
+   * Pin or unpin the column containing a segment. Pinned columns are
+   * left alone by shuffles and recomputes.
+   * @param {Column} col a segment in the column
+   * @param {boolean} pinned true to pin, false to unpin
+   */
+  pinColumn(col, pinned) {
+    for (const seg of this.columns)
+      if (seg.left === col.left)
+        seg.pinned = pinned;
+  }
+
+  /**
+   * Swap the column containing one segment with the column containing
+   * another. The columns must have the same profile (the same
+   * segment tops, bottoms and rips), and neither may be pinned.
+   * @param {Column} a a segment in one column
+   * @param {Column} b a segment in the other column
+   * @return {boolean} true if the columns were swapped
+   */
+  swapColumns(a, b) {
+    const strips = this.strips();
+    const sa = strips.find(strip => strip.indexOf(a) >= 0);
+    const sb = strips.find(strip => strip.indexOf(b) >= 0);
+    if (!sa || !sb || sa === sb
+        || Room.profile(sa) !== Room.profile(sb)
+        || sa.find(col => col.pinned) || sb.find(col => col.pinned))
+      return false;
+    Room.swapStrips(sa, sb);
+    this.renumber();
+    return true;
+  }
+
+  /**
+   * Slide the joints in a column segment up or down. The first plank
+   * gets longer (or shorter) and the last plank shorter (or longer).
+   * Planks are recut as required, and the number of boards, cuts and
+   * the partials are reconciled with the new layout.
+   * @param {Column} col the column segment
+   * @param {number} dy distance to slide the joints, positive is down
+   * @return {boolean} true if the joints were moved
+   */
+  slideColumn(col, dy) {
+    if (col.pinned || col.planks.length < 2)
+      return false;
+    const longest = Math.max(...this.boardLengths().map(b => b.length));
+    const first = col.planks[0];
+    const last = col.planks[col.planks.length - 1];
+    if (first.permanent || last.permanent)
+      return false; // user partials are fixed length
+    const fl = first.length + dy, ll = last.length - dy;
+    if (fl <= 0 || ll <= 0
+        || fl > (first.board ?? longest) || ll > (last.board ?? longest))
+      return false;
+
+    first.length = fl;
+    for (let i = 1; i < col.planks.length; i++)
+      col.planks[i].top += dy;
+    last.length = ll;
+    const whole = p => Math.abs(p.length - (p.board ?? longest)) < 1e-6;
+    first.cut_end = whole(first) ? "" : ">";
+    last.cut_end = whole(last) ? "" : "<";
+
+    this.reconcile();
+    return true;
+  }
+
+  /**
+   * After the layout has been edited, work out again which planks
+   * are cut from which boards, and recompute the number of planks
+   * needed, the cuts, and the partials left over. Pieces cut from
+   * the same board are paired up where they still fit.
+   * @private
+   */
+  reconcile() {
+    const longest = Math.max(...this.boardLengths().map(b => b.length));
+    const boardOf = p => p.board ?? longest;
+
+    // Group pieces by the board they were cut from
+    const byId = {};
+    for (const col of this.columns)
+      for (const plank of col.planks)
+        if (!plank.permanent)
+          (byId[plank.id] ??= []).push(plank);
+
+    this.planksNeeded = 0;
+    this.boardage = 0;
+    this.cuts = 0;
+    const partials = this.partials.filter(p => p.permanent);
+    const key = {}; // map from plank uid to board key
+
+    for (const id of Object.keys(byId)) {
+      const group = byId[id];
+      const lows = group.filter(p => p.cut_end === "<");
+      const highs = group.filter(p => p.cut_end === ">");
+      const wholes = group.filter(p => p.cut_end === "");
+      const mids = group.filter(p => p.cut_end === "<>");
+      for (const p of wholes) {
+        key[p.uid] = `${id}:${p.uid}`;
+        p.offcut = false;
+        this.planksNeeded++;
+        this.boardage += boardOf(p);
+      }
+      // Pair a bottom piece with a top piece if they still fit
+      // in the board, along with any pieces cut from between them
+      // that still fit. If there's anything left over, that takes
+      // another cut.
+      if (lows.length > 0 && highs.length > 0
+          && lows[0].length + highs[0].length + this.CUT_THICKNESS
+          <= boardOf(lows[0]) + 1e-6) {
+        const lo = lows.shift(), hi = highs.shift();
+        key[lo.uid] = key[hi.uid] = id;
+        // One of them is the offcut of the other
+        if (lo.offcut === hi.offcut) {
+          lo.offcut = false;
+          hi.offcut = true;
+        }
+        let gap = boardOf(lo) - lo.length - hi.length - this.CUT_THICKNESS;
+        let pieces = 2;
+        while (mids.length > 0
+               && mids[0].length + this.CUT_THICKNESS <= gap + 1e-6) {
+          const mid = mids.shift();
+          key[mid.uid] = id;
+          mid.offcut = true;
+          gap -= mid.length + this.CUT_THICKNESS;
+          pieces++;
+        }
+        this.planksNeeded++;
+        this.boardage += boardOf(lo);
+        this.cuts += pieces - 1 + (gap > 1e-6 ? 1 : 0);
+      }
+      // Anything else needs a board of its own, and the rest of the
+      // board is kept if it's long enough. A piece with both ends cut
+      // is cut from the bottom of the board, and takes two cuts.
+      for (const p of lows.concat(highs, mids)) {
+        key[p.uid] = `${id}:${p.uid}`;
+        p.offcut = false;
+        this.planksNeeded++;
+        this.boardage += boardOf(p);
+        this.cuts += p.cut_end === "<>" ? 2 : 1;
+        const over = boardOf(p) - p.length - this.CUT_THICKNESS;
+        if (over > this.MIN_PLANK_LENGTH) {
+          const partial = new Plank({
+            top: p.cut_end === "<" ? p.bottom : p.top - over,
+            length: over, board: p.board,
+            cut_end: p.cut_end === "<" ? ">" : "<", width: p.width,
+            rip_left: p.rip_left, rip_right: p.rip_right, offcut: true
+          });
+          key[partial.uid] = key[p.uid];
+          partials.push(partial);
+        }
+      }
+    }
+    this.cuts += this.angledCuts();
+    this.partials = partials;
+    this.renumber(p => key[p.uid] ?? `p${p.uid}`);
+  }
+
+  /**
+   * Take a snapshot of the layout, that can be restored later.
+   * @return {object} a snapshot, that can be serialised as JSON
+   */
+  snapshot() {
+    return JSON.parse(JSON.stringify(this));
+  }
+
+  /**
+   * Restore a room and layout from a snapshot.
+   * @param {object} snap snapshot from snapshot()
+   */
+  restore(snap) {
+    this.vertices = snap.vertices.map(v => Object.assign({}, v));
+    this.holes = snap.holes.map(
+      h => ({ id: h.id, vertices: h.vertices.map(v => Object.assign({}, v)) }));
+    this.joined = snap.joined.map(
+      r => ({ id: r.id, vertices: r.vertices.map(v => Object.assign({}, v)) }));
+    this.doorways = snap.doorways.map(d => Object.assign({}, d));
+    this.gaps = Object.assign({}, snap.gaps);
+    for (const key of Object.keys(Room.PARAMS))
+      this[key] = snap[key];
+    this.measure();
+    this.columns = snap.columns.map(col => new Column(col));
+    this.blocks = (snap.blocks ?? []).map(b => new Block(b));
+    this.partials = snap.partials.map(plank => new Plank(plank));
+    this.lengths = snap.lengths.map(l => Object.assign({}, l));
+    this.units = new Units(snap.units);
+    this.seeds = snap.seeds.slice();
+    this.layoutSeed = snap.layoutSeed;
+    this.unpinned = (snap.unpinned ?? []).map(col => Object.assign({}, col));
+    this.planksNeeded = snap.planksNeeded;
+    this.boardage = snap.boardage;
+    this.cuts = snap.cuts;
+  }
+
+  /**
+   * Find pairs of column segments that lie side by side
+   * @return {Column[][]} list of [ left, right ] pairs, ordered left
+   * to right
+   */
+  neighbours() {
+    const pairs = [];
+    for (const a of this.columns)
+      for (const b of this.columns)
+        if (Math.abs(a.right - b.left) < 1e-6
+            && a.bottom > b.top && a.top < b.bottom)
+          pairs.push([ a, b ]);
+    return pairs.sort((p, q) => p[0].left - q[0].left);
+  }
+
+  /**
+   * Distance within which joints in neighbouring columns are
+   * considered to line up. This is MIN_STAGGER, or PLANK_WIDTH if
+   * that is not set.
+   * @member {number}
+   */
+  get jointTolerance() {
+    return this.MIN_STAGGER > 0 ? this.MIN_STAGGER : this.PLANK_WIDTH;
+  }
+
+  /**
+   * Compute quality metrics for the layout, so that layouts can be
+   * compared with numbers instead of by eye.
+   * @param {number} tolerance joints within this distance of each
+   * other are considered to line up
+   * @return {object} quality metrics:
+   * `minStagger` and `avgStagger`, the minimum and average distance
+   * from a joint to the nearest joint in the neighbouring column to
+   * the right (undefined if there are no such joints);
+   * `hJoints`, the number of places where joints in three neighbouring
+   * columns line up within the tolerance;
+   * `staircase`, the longest run of columns where the offset between
+   * the first joints in neighbouring columns stays the same (0 if
+   * there is no run of more than two columns);
+   * `shortBoards`, the number of planks shorter than MIN_PLANK_LENGTH.
+   */
+  quality(tolerance = this.jointTolerance) {
+    const pairs = this.neighbours();
+
+    let minStagger, sumStagger = 0, nStagger = 0;
+    for (const [ a, b ] of pairs) {
+      if (b.joints.length === 0)
+        continue;
+      for (const ja of a.joints) {
+        const d = Math.min(...b.joints.map(jb => Math.abs(ja - jb)));
+        minStagger = Math.min(minStagger ?? d, d);
+        sumStagger += d;
+        nStagger++;
+      }
+    }
+
+    let hJoints = 0;
+    for (const [ a, b ] of pairs)
+      for (const [ , c ] of pairs.filter(p => p[0] === b))
+        for (const ja of a.joints)
+          for (const jb of b.joints)
+            for (const jc of c.joints)
+              if (Math.max(ja, jb, jc) - Math.min(ja, jb, jc) <= tolerance + 1e-6)
+                hJoints++;
+
+    // Follow chains of neighbouring columns, looking for runs of the
+    // same offset
+    const step = 1 / Units.UNITS[this.units.input]; // 1cm
+    const offset = (a, b) => a.joints.length > 0 && b.joints.length > 0
+          ? b.joints[0] - a.joints[0] : undefined;
+    let staircase = 0;
+    for (const [ a, b ] of pairs) {
+      const d = offset(a, b);
+      if (d === undefined)
+        continue;
+      let run = 2, col = b, next;
+      while ((next = pairs.find(p => p[0] === col))
+             && offset(col, next[1]) !== undefined
+             && Math.abs(offset(col, next[1]) - d) < step) {
+        run++;
+        col = next[1];
+      }
+      if (run > 2)
+        staircase = Math.max(staircase, run);
+    }
+
+    let shortBoards = 0;
+    for (const col of this.columns)
+      for (const plank of col.planks)
+        if (plank.length < this.MIN_PLANK_LENGTH)
+          shortBoards++;
+
+    return {
+      minStagger: minStagger,
+      avgStagger: nStagger > 0 ? sumStagger / nStagger : undefined,
+      hJoints: hJoints,
+      staircase: staircase,
+      shortBoards: shortBoards
+    };
+  }
+
+  /**
+   * Weights used in scoring a layout
+   */
+  static WEIGHTS = {
+    waste: 1,      // per cm of waste
+    cuts: 10,      // per cross-cut
+    aligned: 50,   // per pair of lined-up joints
+    staircase: 20  // per repeated offset between columns
+  };
+
+  /**
+   * Score the layout, using an explicit cost function. Lower is better.
+   * The score is the same whatever units the room is described in.
+   * @param {object} weights weights for each of the terms, as
+   * Room.WEIGHTS
+   * @param {number} tolerance joints in neighbouring columns closer
+   * than this are considered to be lined up. Defaults to MIN_STAGGER,
+   * or PLANK_WIDTH if that is not set.
+   * @return {object} score breakdown, giving the `waste`, `cuts`,
+   * number of `aligned` joints, number of `staircase` steps and the
+   * weighted `total`.
+   */
+  score(weights = Room.WEIGHTS, tolerance = this.jointTolerance) {
+    const pairs = this.neighbours();
+
+    let aligned = 0;
+    for (const [ a, b ] of pairs)
+      for (const ja of a.joints)
+        for (const jb of b.joints)
+          if (Math.abs(ja - jb) < tolerance - 1e-6)
+            aligned++;
+
+    // A staircase is where the offset between the first joints in
+    // a pair of columns is repeated in the next pair, to within 1cm
+    const step = 1 / Units.UNITS[this.units.input];
+    let staircase = 0;
+    for (const [ a, b ] of pairs) {
+      const next = pairs.find(p => p[0] === b);
+      if (!next || a.joints.length === 0 || b.joints.length === 0
+          || next[1].joints.length === 0)
+        continue;
+      const d1 = b.joints[0] - a.joints[0];
+      const d2 = next[1].joints[0] - b.joints[0];
+      if (Math.abs(d1 - d2) < step)
+        staircase++;
+    }
+
+    const score = {
+      waste: this.waste,
+      cuts: this.cuts,
+      aligned: aligned,
+      staircase: staircase
+    };
+    // The waste is weighted per cm, whatever units the room is in
+    const scale = { waste: Units.UNITS[this.units.input] };
+    score.total = Object.keys(weights).reduce(
+      (t, k) => t + weights[k] * (scale[k] ?? 1) * score[k], 0);
+    return score;
+  }
+
+  /**
+   * Format the cutting schedule. The schedule is returned as an array
+   * of objects, each being object.<"<":string,">":string>, where "<"
+   * indicates the cut end is the bottom end of the plank and ">" is
+   * the top end. Pieces cut from the middle of a board, with both ends
+   * cut, are given as "<>". Where boards come in several lengths, the
+   * length of the board cut is given in brackets. Planks with an end
+   * cut at an angle to fit a sloped wall are listed with the lengths
+   * of their long and short sides; a whole board cut at an angle is
+   * listed under the end that is cut. Herringbone and chevron blocks that are
+   * cut to fit are listed under "<", with the lengths of their long
+   * sides, where it takes more than one, the number of cuts, and
+   * where it is cut from the offcut of another block, which one.
+   * @return {object[]} cutting schedule
+   */
+  cuttingSchedule() {
+    const mixed = this.boardLengths().length > 1;
+    const u = this.units;
+    const cuts = [];
+    for (const col of this.columns) {
+      for (const plank of col.planks) {
+        const end = plank.cut_end !== "" ? plank.cut_end
+              : plank.mitre_top !== 0 ? ">"
+              : plank.mitre_bottom !== 0 ? "<" : "";
+        if (end === "")
+          continue;
+        if (!cuts[plank.id])
+          cuts[plank.id] = {};
+        const length = plank.angled
+              ? `${u.format(plank.length)} long, ${u.format(plank.shortSide)} short`
+              : u.format(plank.length);
+        let cut;
+        if (end == "<")
+          cut = `${plank.id}< ${length}`;
+        else if (end == "<>")
+          cut = `<${plank.id}> ${length}`;
+        else
+          cut = `${length} ${plank.id}>`;
+        if (mixed && plank.board)
+          cut += ` (${u.format(plank.board)})`;
+        cuts[plank.id][end] = cut;
+      }
+    }
+    for (const block of this.blocks)
+      if (block.cut) {
+        const n = block.cuts > 1 ? `, ${block.cuts} cuts` : "";
+        const from = typeof block.from === "undefined"
+              ? "" : `, from the offcut of ${block.from}`;
+        cuts[block.id] = {
+          "<": `${block.id}< ${u.format(block.longSide)} long, ${u.format(block.shortSide)} short${n}${from}`
+        };
+      }
+    return cuts;
+  }
+
+  /**
+   * Work out where the offcuts go. Pieces cut from the same board
+   * share an id. One of them was cut from a new board; the others are
+   * offcuts, laid in other columns (or the same column, where a board
+   * is cut in three) or kept as spares.
+   * @return {object[]} one entry for each board that has been cut,
+   * giving the `id` of the pieces, the `donor` {column:number,
+   * plank:Plank} that was cut from a new board, the `offcuts`, a list
+   * of {column:number, plank:Plank} for the pieces laid from the rest
+   * of the board, and the `spares`, a list of the pieces kept in the
+   * partials. Columns are indices into `columns`. The donor is
+   * undefined for offcuts of boards cut elsewhere. User partials
+   * are not included.
+   */
+  offcutFlow() {
+    const flows = {};
+    const flowOf = id => flows[id] ??= {
+      id: id, donor: undefined, offcuts: [], spares: []
+    };
+    this.columns.forEach((col, ci) => {
+      for (const plank of col.planks)
+        if (plank.cut_end !== "" && !plank.permanent) {
+          if (plank.offcut)
+            flowOf(plank.id).offcuts.push({ column: ci, plank: plank });
+          else
+            flowOf(plank.id).donor = { column: ci, plank: plank };
+        }
+    });
+    for (const plank of this.partials)
+      if (!plank.permanent)
+        flowOf(plank.id).spares.push(plank);
+    return Object.values(flows);
+  }
+
+  /**
+   * Describe every plank placed in the layout, for export to
+   * spreadsheets and cut-list software. Planks are listed column by
+   * column, top to bottom.
+   * @return {object[]} one row for each plank, giving the `column`
+   * index, plank `id` and `uid`, `left` and `top` (the corner of the
+   * plank nearest the top left of the plan, in plan coordinates),
+   * `length`, the length of the `short_side` (which is
+   * less than the length where an end is cut at an angle), `width`,
+   * the `direction` the top end of the plank points on the plan (in
+   * degrees clockwise from the top of the plan, as DIRECTION),
+   * `cut_end`, the length of the `board` it was cut from (blank for user
+   * partials), whether it is a `user_partial`, the lengths of the
+   * `offcut` pieces produced when it was cut from a new board (empty
+   * if there are none, or they were too short to keep, see
+   * offcutFlow()), and for each of them the `offcut_column` index
+   * where it is laid (blank if it isn't laid). Lengths are in display units,
+   * rounded to the display precision. Herringbone and chevron blocks
+   * are listed row by row, with the row of the pattern as the
+   * `column`, the top left of the part laid as `left` and `top`, the
+   * long sides as `length` and `short_side`, the way the long side
+   * from the first corner to the second points as the `direction`,
+   * rounded to 0.1 degree, "<" as the `cut_end`
+   * of blocks that are cut, and as the `offcut` pieces, the blocks
+   * cut from the rest of the board.
+   */
+  placements() {
+    // Find the offcuts of each plank cut from a new board
+    const offcuts = {};
+    for (const flow of this.offcutFlow())
+      if (flow.donor)
+        offcuts[flow.donor.plank.uid] = flow.offcuts.map(o => ({
+          length: o.plank.length, column: o.column
+        })).concat(flow.spares.map(p => ({ length: p.length, column: "" })));
+
+    // Top left, on the plan, of a shape in layout coordinates
+    const topLeft = ps => {
+      const vs = ps.map(p => this.toPlan(p));
+      return {
+        x: Math.min(...vs.map(v => v.x)), y: Math.min(...vs.map(v => v.y))
+      };
+    };
+
+    // Way a vector in layout coordinates points on the plan, in
+    // degrees clockwise from the top of the plan
+    const direction = (a, b) => {
+      const p = this.toPlan(a), q = this.toPlan(b);
+      const deg = Math.atan2(q.x - p.x, p.y - q.y) * 180 / Math.PI;
+      return (Math.round(deg * 10) / 10 + 360) % 360;
+    };
+
+    const u = this.units;
+    const rows = [];
+    this.columns.forEach((col, ci) => {
+      for (const plank of col.planks) {
+        const offcut = offcuts[plank.uid] ?? [];
+        const corner = topLeft([
+          { x: plank.left, y: plank.top },
+          { x: plank.right, y: plank.bottom } ]);
+        rows.push({
+          column: ci,
+          id: plank.id,
+          uid: plank.uid,
+          left: u.round(corner.x),
+          top: u.round(corner.y),
+          length: u.round(plank.length),
+          short_side: u.round(plank.shortSide),
+          width: u.round(plank.width),
+          direction: this.DIRECTION,
+          cut_end: plank.cut_end,
+          board: typeof plank.board === "number" ? u.round(plank.board) : "",
+          user_partial: plank.permanent,
+          offcut: offcut.map(o => u.round(o.length)),
+          offcut_column: offcut.map(o => o.column)
+        });
+      }
+    });
+    for (const block of this.blocks) {
+      const corner = topLeft(block.piece);
+      const offcut = this.blocks.filter(b => b.from === block.id);
+      rows.push({
+        column: block.row,
+        id: block.id,
+        uid: "",
+        left: u.round(corner.x),
+        top: u.round(corner.y),
+        length: u.round(block.longSide),
+        short_side: u.round(block.shortSide),
+        width: u.round(block.width),
+        direction: direction(block.corners[0], block.corners[1]),
+        cut_end: block.cut ? "<" : "",
+        board: u.round(block.length),
+        user_partial: false,
+        offcut: offcut.map(b => u.round(b.longSide)),
+        offcut_column: offcut.map(b => b.row)
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Format placements() as comma-separated values, with a header row.
+   * Lists, such as the offcuts, are separated by semicolons.
+   * @return {string} CSV
+   */
+  placementsCSV() {
+    const rows = this.placements();
+    const text = v => Array.isArray(v) ? v.join(";") : String(v);
+    const field = v => /[",\n]/.test(text(v))
+          ? `"${text(v).replace(/"/g, '""')}"` : text(v);
+    const keys = rows.length > 0 ? Object.keys(rows[0]) : [];
+    return [ keys.join(","),
+             ...rows.map(row => keys.map(k => field(row[k])).join(",")) ]
+    .join("\n") + "\n";
+  }
+
+  /**
+   * Format the schedule of rip cuts (cuts along the length of a plank).
+   * Planks are ripped before they are cross-cut, so the pieces of a
+   * plank are only listed once.
+   * @return {string[]} rip schedule, one entry for each ripped plank
+   */
+  ripSchedule() {
+    const rips = {};
+    for (const col of this.columns) {
+      for (const plank of col.planks) {
+        if (plank.ripped === "")
+          continue;
+        const rip = `${plank.id}: rip to ${this.units.format(plank.width)} wide, cut on the ${plank.ripped}`;
+        rips[rip] = true;
+      }
+    }
+    return Object.keys(rips);
+  }
+
+  /**
+   * Number of rip cuts, computed from the layout
+   * @member {number}
+   */
+  get rips() {
+    const rips = {};
+    for (const col of this.columns)
+      for (const plank of col.planks)
+        rips[`${plank.id}:${plank.rip_left}:${plank.rip_right}`]
+        = (plank.rip_left > 0 ? 1 : 0) + (plank.rip_right > 0 ? 1 : 0);
+    return Object.values(rips).reduce((a, b) => a + b, 0);
+  }
+
+  /**
+   * Redraw the room
+   * @param {Surface} surf drawing context
+   * @param {boolean} clear false to draw over whatever is already
+   * on the surface
+   */
+  draw(surf, clear = true) {
+    if (clear)
+      surf.clear();
+
+    if (this.vertices.length < 3)
+      // Need at least 3 vertices to make a rectilinear room.
+      return;
+
+    // Draw the floor plan
+    surf.drawPolygon(this.vertices)
+    .fill("none")
+    .stroke("rgba(255,165,0,50)");
+    for (const r of this.joined)
+      if (r.vertices.length >= 3)
+        surf.drawPolygon(r.vertices)
+        .fill("none")
+        .stroke("rgba(255,165,0,50)");
+    for (const doorway of this.doorways)
+      surf.drawLine(doorway.from.x, doorway.from.y, doorway.to.x, doorway.to.y)
+      .stroke({ color: "green", width: 1, dasharray: "2,1" });
+
+    // Draw the boundary the boards are laid to, where it's not
+    // the walls
+    if (this.EXPANSION_GAP > 0
+        || Object.values(this.gaps).some(g => g > 0)) {
+      const boundary = this.boundary();
+      for (const vs of boundary.rooms.concat(boundary.holes))
+        if (vs.length >= 3)
+          surf.drawPolygon(vs)
+          .fill("none")
+          .stroke({ color: "blue", width: 0.5, dasharray: "2,1" });
+    }
+
+    for (const hole of this.holes) {
+      if (hole.vertices.length < 3)
+        continue;
+      surf.openGroup();
+      surf.drawPolygon(hole.vertices)
+      .fill({ color: "grey", opacity: 0.3 })
+      .stroke("rgba(255,165,0,50)");
+      const xs = hole.vertices.map(v => v.x), ys = hole.vertices.map(v => v.y);
+      const w = Math.max(...xs) - Math.min(...xs);
+      surf.drawText(hole.id ?? "", Math.min(...xs) + w / 2,
+                    (Math.min(...ys) + Math.max(...ys)) / 2,
+                    Math.min(w / 4, this.PLANK_WIDTH / 2));
+      surf.closeGroup();
+    }
+
+    // The boards are drawn in layout coordinates
+    const layout = new RotatedSurface(surf, this.DIRECTION);
+    const showBoard = this.boardLengths().length > 1
+          ? v => this.units.format(v) : undefined;
+    for (const col of this.columns)
+      col.draw(layout, showBoard);
+    for (const block of this.blocks)
+      block.draw(layout);
+
+    // Highlight joints that are too close to joints in the
+    // neighbouring column
+    for (const bad of this.staggerViolations()) {
+      layout.drawLine(bad.left.plankLeft, bad.ly, bad.left.right, bad.ly)
+      .stroke({ color: "red", width: 1 });
+      layout.drawLine(bad.right.left, bad.ry,
+                      bad.right.plankLeft + bad.right.plankWidth, bad.ry)
+      .stroke({ color: "red", width: 1 });
+      layout.drawLine(bad.left.right, bad.ly, bad.right.left, bad.ry)
+      .stroke({ color: "red", width: 1 });
+    }
+  }
+
+  /**
+   * Highlight the pieces cut from the same board as a plank, over
+   * the drawing of the room. The piece cut from the new board is shown
+   * in blue, and the offcuts laid from the rest of the board in green,
+   * with a line from the one to the other.
+   * @param {Surface} surf drawing context, as passed to draw()
+   * @param {number} id id of the plank
+   * @return {object?} the flow for the board, as offcutFlow(), or
+   * undefined if the plank wasn't cut from a board
+   */
+  drawOffcutFlow(surf, id) {
+    const flow = this.offcutFlow().find(f => f.id === id);
+    if (!flow)
+      return undefined;
+    const layout = new RotatedSurface(surf, this.DIRECTION);
+    const mark = (plank, colour) => layout.drawPolygon(plank.corners)
+          .fill({ color: colour, opacity: 0.3 })
+          .stroke({ color: colour, width: 1 });
+    if (flow.donor)
+      mark(flow.donor.plank, "blue");
+    for (const offcut of flow.offcuts) {
+      mark(offcut.plank, "green");
+      if (flow.donor)
+        layout.drawLine(flow.donor.plank.centre, flow.donor.plank.middle,
+                        offcut.plank.centre, offcut.plank.middle)
+        .stroke({ color: "green", width: 1, dasharray: "2,1" });
+    }
+    return flow;
+  }
+}
+
+export { Room }
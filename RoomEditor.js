@@ -0,0 +1,287 @@
+/* Copyright 2024 Crawford Currie */
+/* eslint-env browser, jquery */
+/* global $ */
+// See README.md
+
+/**
+ * Interactive editor for the room polygon. Click on the drawing to
+ * add a vertex, drag a vertex to move it. Vertices snap to a grid,
+ * and new edges are kept horizontal, vertical or at 45 degrees. The
+ * walls are also listed in a table, where vertex ids, exact wall
+ * lengths and expansion gaps for individual walls can be typed.
+ */
+class RoomEditor {
+
+  /**
+   * @param {Surface} surf the surface the room is drawn on
+   * @param {function} onChange function called when the room has
+   * been edited. It is passed a boolean that is true if the edit is
+   * complete (false while a vertex is being dragged).
+   */
+  constructor(surf, onChange) {
+    /**
+     * Drawing surface
+     * @member {Surface}
+     * @private
+     */
+    this.surf = surf;
+
+    /**
+     * Called when the room has been edited
+     * @member {function}
+     * @private
+     */
+    this.onChange = onChange;
+
+    /**
+     * Room being edited
+     * @member {Room}
+     * @private
+     */
+    this.room = undefined;
+
+    /**
+     * True while the editor is active
+     * @member {boolean}
+     */
+    this.active = false;
+
+    /**
+     * Index of the vertex being dragged
+     * @member {number}
+     * @private
+     */
+    this.dragging = undefined;
+  }
+
+  /**
+   * Start editing a room
+   * @param {Room} room the room to edit
+   */
+  start(room) {
+    this.room = room;
+    this.active = true;
+    $("#editor").show();
+    this.showWalls();
+  }
+
+  /**
+   * Stop editing
+   */
+  stop() {
+    this.active = false;
+    this.dragging = undefined;
+    $("#editor").hide();
+  }
+
+  /**
+   * Grid spacing vertices are snapped to, in input units. It is
+   * typed in display units; 1 display unit if it can't be parsed.
+   * @member {number}
+   * @private
+   */
+  get grid() {
+    const units = this.room.units;
+    const grid = units.parse($("#edit_grid").val());
+    return grid > 0 ? grid : units.fromDisplay(1);
+  }
+
+  /**
+   * Size of vertex handles
+   * @member {number}
+   * @private
+   */
+  get radius() {
+    return Math.max(2, this.room.PLANK_WIDTH / 3);
+  }
+
+  /**
+   * Snap a point to the grid
+   * @param {object} p {x:number, y:number}
+   * @return {object} snapped {x:number, y:number}
+   * @private
+   */
+  snap(p) {
+    const g = this.grid;
+    return { x: Math.round(p.x / g) * g, y: Math.round(p.y / g) * g };
+  }
+
+  /**
+   * Find the vertex under a point
+   * @param {object} p {x:number, y:number}
+   * @return {number} index of the vertex, or -1
+   * @private
+   */
+  vertexAt(p) {
+    const r = this.radius;
+    return this.room.vertices.findIndex(
+      v => Math.abs(v.x - p.x) <= r && Math.abs(v.y - p.y) <= r);
+  }
+
+  /**
+   * Draw the vertex handles, over the room drawing
+   */
+  draw() {
+    if (!this.active)
+      return;
+    const r = this.radius;
+    for (const v of this.room.vertices) {
+      this.surf.drawRect(v.x - r, v.y - r, 2 * r, 2 * r)
+      .fill({ color: "orange", opacity: 0.5 })
+      .stroke({ color: "black", width: 0.5 });
+      this.surf.drawText(v.id ?? "", v.x, v.y - 2 * r, 2 * r);
+    }
+  }
+
+  /**
+   * Handle a mouse press, in room coordinates
+   * @param {object} p {x:number, y:number}
+   */
+  mousedown(p) {
+    const i = this.vertexAt(p);
+    if (i >= 0)
+      this.dragging = i;
+    else {
+      const q = this.snap(p);
+      this.room.addVertex(q.x, q.y);
+      this.changed(true);
+    }
+  }
+
+  /**
+   * Handle a mouse move, in room coordinates
+   * @param {object} p {x:number, y:number}
+   */
+  mousemove(p) {
+    if (this.dragging === undefined)
+      return;
+    const q = this.snap(p);
+    const v = this.room.vertices[this.dragging];
+    if (q.x !== v.x || q.y !== v.y) {
+      this.room.moveVertex(this.dragging, q.x, q.y);
+      this.onChange(false);
+    }
+  }
+
+  /**
+   * Handle a mouse release
+   */
+  mouseup() {
+    if (this.dragging === undefined)
+      return;
+    this.dragging = undefined;
+    this.changed(true);
+  }
+
+  /**
+   * The room has been changed
+   * @param {boolean} done true if the edit is complete
+   * @private
+   */
+  changed(done) {
+    this.showWalls();
+    this.onChange(done);
+  }
+
+  /**
+   * Does another vertex (of the room, a joined room or a hole) have
+   * the same id as this one?
+   * @param {string} id the vertex id
+   * @param {object} vertex the vertex
+   * @return {boolean} true if the id is shared
+   * @private
+   */
+  shared(id, vertex) {
+    const room = this.room;
+    const vs = [ room.vertices, ...room.joined.map(r => r.vertices),
+                 ...room.holes.map(h => h.vertices) ].flat();
+    return vs.some(v => v !== vertex && v.id === id);
+  }
+
+  /**
+   * Forget the expansion gap for a vertex id, unless another vertex
+   * (of the room, a joined room or a hole) still has that id
+   * @param {string} id the vertex id
+   * @param {object} vertex the vertex that no longer uses the gap
+   * @private
+   */
+  dropGap(id, vertex) {
+    if (!this.shared(id, vertex))
+      delete this.room.gaps[id];
+  }
+
+  /**
+   * Stop a vertex using the expansion gap for its id. If other
+   * vertices share the id, the vertex is given an id of its own, so
+   * they keep the gap.
+   * @param {object} vertex the vertex
+   * @private
+   */
+  clearGap(vertex) {
+    const room = this.room;
+    if (!this.shared(vertex.id, vertex)) {
+      delete room.gaps[vertex.id];
+      return;
+    }
+    let n = 2;
+    while (this.shared(`${vertex.id}.${n}`, vertex)
+           || `${vertex.id}.${n}` in room.gaps)
+      n++;
+    vertex.id = `${vertex.id}.${n}`;
+  }
+
+  /**
+   * Fill the table of walls
+   * @private
+   */
+  showWalls() {
+    const room = this.room;
+    const $table = $("#edit_walls").empty();
+    $table.append("<tr><th>Vertex</th><th>Wall length to next</th><th>Expansion gap</th><th></th></tr>");
+    room.vertices.forEach((v, i) => {
+      const $row = $("<tr></tr>");
+      const $id = $(`<input type="text" />`).val(v.id ?? "");
+      $id.on("change", () => {
+        if (v.id in room.gaps) {
+          room.gaps[$id.val()] = room.gaps[v.id];
+          this.dropGap(v.id, v);
+        }
+        v.id = $id.val();
+        this.changed(true);
+      });
+      const $len = $(`<input type="text" size="8" />`)
+            .val(room.units.format(room.wallLength(i)));
+      $len.on("change", e => {
+        const length = room.units.parse(e.target.value);
+        if (!isNaN(length))
+          room.setWallLength(i, length);
+        this.changed(true);
+      });
+      // Blank means the room's EXPANSION_GAP
+      const $gap = $(`<input type="text" size="6" />`)
+            .val(v.id in room.gaps ? room.units.format(room.gaps[v.id]) : "")
+            .prop("disabled", !v.id);
+      $gap.on("change", e => {
+        const gap = room.units.parse(e.target.value);
+        if (isNaN(gap))
+          this.clearGap(v);
+        else
+          room.gaps[v.id] = gap;
+        this.changed(true);
+      });
+      const $del = $("<button>delete</button>");
+      $del.on("click", () => {
+        this.dropGap(v.id, v);
+        room.vertices.splice(i, 1);
+        this.changed(true);
+      });
+      $row.append($("<td></td>").append($id));
+      $row.append($("<td></td>").append($len));
+      $row.append($("<td></td>").append($gap));
+      $row.append($("<td></td>").append($del));
+      $table.append($row);
+    });
+  }
+}
+
+export { RoomEditor }
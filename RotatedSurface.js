@@ -0,0 +1,109 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+import { toPlan } from "./Direction.js";
+
+/**
+ * A drawing surface that takes drawing operations in layout
+ * coordinates and passes them on to another surface in plan
+ * coordinates. Used to draw the boards of a room that has a
+ * DIRECTION other than 0.
+ */
+class RotatedSurface {
+
+  /**
+   * @param {Surface|StringSurface} surf the surface to draw on
+   * @param {number} direction 0, 90, 180 or 270
+   */
+  constructor(surf, direction) {
+    /**
+     * Surface being drawn on
+     * @member {Surface|StringSurface}
+     * @private
+     */
+    this.surf = surf;
+
+    /**
+     * Rotation from layout to plan
+     * @member {number}
+     * @private
+     */
+    this.direction = direction;
+  }
+
+  /**
+   * Open a group. Drawing operations will be added to the
+   * group until it is closed.
+   */
+  openGroup() {
+    this.surf.openGroup();
+  }
+
+  /**
+   * Close the currently open group
+   */
+  closeGroup() {
+    this.surf.closeGroup();
+  }
+
+  /**
+   * Draw rectangle
+   * @param {number} x left edge
+   * @param {number} top top edge
+   * @param {number} w width
+   * @param {number} h height
+   * @return {object} rectangle object from the underlying surface
+   */
+  drawRect(x, y, w, h) {
+    const a = toPlan({ x: x, y: y }, this.direction);
+    const b = toPlan({ x: x + w, y: y + h }, this.direction);
+    return this.surf.drawRect(Math.min(a.x, b.x), Math.min(a.y, b.y),
+                              Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+  }
+
+  /**
+   * Draw text centred at a position. The text is turned with the
+   * layout, but never so far that it ends up upside down.
+   * @param {string} s text string
+   * @param {number} x x coord of centre
+   * @param {number} y y coord of centre
+   * @param {number} f font size
+   * @param {number} r rotation degrees. text is rotated about its centre
+   * @return {object} text object from the underlying surface
+   */
+  drawText(s, x, y, f, r = 0) {
+    const p = toPlan({ x: x, y: y }, this.direction);
+    r = ((r + this.direction) % 360 + 540) % 360 - 180; // [-180, 180)
+    if (r > 90)
+      r -= 180;
+    else if (r < -90)
+      r += 180;
+    return this.surf.drawText(s, p.x, p.y, f, r);
+  }
+
+  /**
+   * Draw a line
+   * @param {number} x1 x of start
+   * @param {number} y1 y of start
+   * @param {number} x2 x of end
+   * @param {number} y2 y of end
+   * @return {object} line object from the underlying surface
+   */
+  drawLine(x1, y1, x2, y2) {
+    const a = toPlan({ x: x1, y: y1 }, this.direction);
+    const b = toPlan({ x: x2, y: y2 }, this.direction);
+    return this.surf.drawLine(a.x, a.y, b.x, b.y);
+  }
+
+  /**
+   * Draw a polygon
+   * @param {object.<x:number,y:number>} polygon vertices
+   * @return {object} polygon object from the underlying surface
+   */
+  drawPolygon(vertices) {
+    return this.surf.drawPolygon(
+      vertices.map(v => toPlan(v, this.direction)));
+  }
+}
+
+export { RotatedSurface }
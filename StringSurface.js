@@ -0,0 +1,281 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+/**
+ * Escape a string for inclusion in XML
+ * @param {string} s string to escape
+ * @return {string} escaped string
+ * @private
+ */
+function escapeXML(s) {
+  return String(s)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+}
+
+/**
+ * An element drawn on a StringSurface. Supports the subset of the
+ * SVG.js element API used by the drawing code, so drawing code can
+ * be shared between the browser and node.js.
+ */
+class StringElement {
+
+  /**
+   * @param {string} tag SVG tag name
+   * @param {object} attrs attributes of the element
+   * @param {string?} text text content of the element
+   */
+  constructor(tag, attrs, text) {
+    /**
+     * SVG tag name
+     * @member {string}
+     * @private
+     */
+    this.tag = tag;
+
+    /**
+     * Attributes
+     * @member {object}
+     * @private
+     */
+    this.attrs = attrs;
+
+    /**
+     * Text content, or child elements (for groups)
+     * @member {string|StringElement[]}
+     * @private
+     */
+    this.content = text;
+  }
+
+  /**
+   * Set attributes, as SVG.js attr()
+   * @param {object} attrs map of attribute names to values
+   * @return {StringElement} this
+   */
+  attr(attrs) {
+    Object.assign(this.attrs, attrs);
+    return this;
+  }
+
+  /**
+   * Set fill, as SVG.js fill()
+   * @param {string|object} f colour, or { color:, opacity: }
+   * @return {StringElement} this
+   */
+  fill(f) {
+    if (typeof f === "string")
+      this.attrs.fill = f;
+    else {
+      if (typeof f.color !== "undefined") this.attrs.fill = f.color;
+      if (typeof f.opacity !== "undefined") this.attrs["fill-opacity"] = f.opacity;
+    }
+    return this;
+  }
+
+  /**
+   * Set stroke, as SVG.js stroke()
+   * @param {string|object} s colour, or { color:, opacity:, width: }
+   * @return {StringElement} this
+   */
+  stroke(s) {
+    if (typeof s === "string")
+      this.attrs.stroke = s;
+    else {
+      if (typeof s.color !== "undefined") this.attrs.stroke = s.color;
+      if (typeof s.opacity !== "undefined") this.attrs["stroke-opacity"] = s.opacity;
+      if (typeof s.width !== "undefined") this.attrs["stroke-width"] = s.width;
+      if (typeof s.dasharray !== "undefined") this.attrs["stroke-dasharray"] = s.dasharray;
+    }
+    return this;
+  }
+
+  /**
+   * Serialise the element
+   * @return {string} SVG for the element
+   */
+  toString() {
+    const attrs = Object.keys(this.attrs)
+          .map(k => ` ${k}="${escapeXML(this.attrs[k])}"`)
+          .join("");
+    if (typeof this.content === "undefined")
+      return `<${this.tag}${attrs}/>`;
+    const content = Array.isArray(this.content)
+          ? this.content.join("\n")
+          : escapeXML(this.content);
+    return `<${this.tag}${attrs}>${content}</${this.tag}>`;
+  }
+}
+
+/**
+ * A drawing surface that builds an SVG document as a string. This
+ * offers the same drawing interface as Surface, but has no dependency
+ * on the DOM or SVG.js, so can be used in node.js.
+ */
+class StringSurface {
+
+  constructor() {
+    /**
+     * Top level elements
+     * @member {StringElement[]}
+     * @private
+     */
+    this.elements = [];
+
+    /**
+     * Width of drawing area
+     * @member {number}
+     * @private
+     */
+    this.w = 0;
+
+    /**
+     * Height of drawing area
+     * @member {number}
+     * @private
+     */
+    this.h = 0;
+
+    /**
+     * Margin around drawing area
+     * @member {number}
+     * @private
+     */
+    this.margin = 0;
+
+    /**
+     * Currently open group
+     * @member {StringElement}
+     * @private
+     */
+    this.group = undefined;
+  }
+
+  /**
+   * Clear the drawing
+   */
+  clear() {
+    this.elements = [];
+  }
+
+  /**
+   * Resize the surface, to accomodate a different sized room.
+   * @param {number} l eft
+   * @param {number} t top
+   * @param {number} w width
+   * @param {number} h height
+   * @param {number} m margin
+   */
+  resize(l, t, w, h, m) {
+    this.w = w, this.h = h, this.margin = m;
+  }
+
+  /**
+   * Add an element to the open group, or the top level
+   * @param {StringElement} el element to add
+   * @return {StringElement} the element
+   * @private
+   */
+  add(el) {
+    if (this.group)
+      this.group.content.push(el);
+    else
+      this.elements.push(el);
+    return el;
+  }
+
+  /**
+   * Open a group. Drawing operations will be added to the
+   * group until it is closed.
+   */
+  openGroup() {
+    this.group = new StringElement("g", {}, []);
+    this.elements.push(this.group);
+  }
+
+  /**
+   * Close the currently open group
+   */
+  closeGroup() {
+    this.group = undefined;
+  }
+
+  /**
+   * Draw rectangle
+   * @param {number} x left edge
+   * @param {number} top top edge
+   * @param {number} w width
+   * @param {number} h height
+   * @return {StringElement} svg rectangle object
+   */
+  drawRect(x, y, w, h) {
+    return this.add(new StringElement("rect", {
+      x: x + this.margin, y: y + this.margin, width: w, height: h
+    }));
+  }
+
+  /**
+   * Draw text centred at a position
+   * @param {string} s text string
+   * @param {number} x x coord of centre
+   * @param {number} y y coord of centre
+   * @param {number} f font size
+   * @param {number} r rotation degrees. text is rotated about its centre
+   * @return {StringElement} svg text object
+   */
+  drawText(s, x, y, f, r = 0) {
+    x += this.margin, y += this.margin;
+    return this.add(new StringElement("text", {
+      x: x, y: y,
+      "font-family": "sans-serif",
+      "font-size": f,
+      "text-anchor": "middle",
+      "dominant-baseline": "middle",
+      transform: `rotate(${r} ${x} ${y})`
+    }, s));
+  }
+
+  /**
+   * Draw a line
+   * @param {number} x1 x of start
+   * @param {number} y1 y of start
+   * @param {number} x2 x of end
+   * @param {number} y2 y of end
+   * @return {StringElement} svg line object
+   */
+  drawLine(x1, y1, x2, y2) {
+    const m = this.margin;
+    return this.add(new StringElement("line", {
+      x1: x1 + m, y1: y1 + m, x2: x2 + m, y2: y2 + m
+    }));
+  }
+
+  /**
+   * Draw a polygon
+   * @param {object.<x:number,y:number>} polygon vertices
+   * @return {StringElement} svg polygon object
+   */
+  drawPolygon(vertices) {
+    const poly = [];
+    for (let i = 0; i < vertices.length; i++)
+      poly.push(`${vertices[i].x + this.margin},${vertices[i].y + this.margin}`);
+    return this.add(new StringElement("polygon", { points: poly.join(" ") }));
+  }
+
+  /**
+   * Serialise the drawing as an SVG document
+   * @return {string} the SVG document
+   */
+  svg() {
+    const w = this.w + 2 * this.margin, h = this.h + 2 * this.margin;
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">`,
+      ...this.elements.map(el => el.toString()),
+      "</svg>"
+    ].join("\n");
+  }
+}
+
+export { StringSurface }
@@ -0,0 +1,180 @@
+/* Copyright 2024 Crawford Currie */
+/* eslint-env browser */
+/* global SVG */
+// See README.md
+
+/**
+ * A drawing surface, using SVG.
+ */
+class Surface {
+
+  static SVG_NS = 'http://www.w3.org/2000/svg';
+
+  /**
+   * @param {jQuery} $container svg container
+   */
+  constructor($container) {
+    /**
+     * HTML element that contains the SVG object
+     * @member {Element}
+     * @private
+     */
+    this.svg_div = $container[0];
+
+    /**
+     * SVG object
+     * @member {SVG}
+     * @private
+     */
+    this.svg = SVG();
+    this.svg.addTo(this.svg_div);
+
+    /**
+     * Width of drawing area
+     * @member {number}
+     * @private
+     */
+    this.w = 0;
+
+    /**
+     * Height of drawing area
+     * @member {number}
+     * @private
+     */
+    this.h = 0;
+
+    /**
+     * Margin around drawing area
+     * @member {number}
+     * @private
+     */
+    this.margin = 0;
+
+    /**
+     * Currently open group
+     * @member {SVGGroup}
+     * @private
+     */
+    this.group = undefined;
+  }
+
+  /**
+   * Clear the drawing
+   */
+  clear() {
+    this.svg.clear();
+  }
+  
+  /**
+   * Resize the surface, to accomodate a different sized room.
+   * @param {number} l eft
+   * @param {number} t top
+   * @param {number} w width
+   * @param {number} h height
+   * @param {number} m margin
+   */
+  resize(l, t, w, h, m) {
+    this.w = w, this.h = h, this.margin = m;
+    this.svg_div.width = this.w + 2 * m;
+    this.svg_div.height = this.h + 2 * m;
+    this.svg.size("100%", "100%");
+    this.svg.viewbox(0, 0, this.w + 2 * m, this.h + 2 * m);
+  }
+
+  /**
+   * Generate a image/svg+xml blob
+   */
+  blob() {
+    return new Blob([ this.svg.svg() ], { type: 'image/svg+xml' });
+  }
+
+  /**
+   * Convert the position of a mouse event to room coordinates
+   * @param {Event} e the mouse event
+   * @return {object} {x:number, y:number}
+   */
+  toRoom(e) {
+    const p = this.svg.point(e.clientX, e.clientY);
+    return { x: p.x - this.margin, y: p.y - this.margin };
+  }
+
+  /**
+   * Open a group. Drawing operations will be added to the
+   * group until it is closed.
+   */
+  openGroup() {
+    this.group = this.svg.group();
+  }
+
+  /**
+   * Close the currently open group
+   */
+  closeGroup() {
+    this.group = undefined;
+  }
+
+  /**
+   * Draw rectangle
+   * @param {number} x left edge
+   * @param {number} top top edge
+   * @param {number} w width
+   * @param {number} h height
+   * @return {SVG.Rect} svg rectangle object
+   */
+  drawRect(x, y, w, h) {
+    return (this.group ?? this.svg)
+    .rect(w, h)
+    .move(x + this.margin, y + this.margin);
+  }
+
+  /**
+   * Draw text centred at a position
+   * @param {string} s text string
+   * @param {number} top top edge
+   * @param {number} x x coord of centre
+   * @param {number} y y coord of centre
+   * @param {number} f font size
+   * @param {number} r rotation degrees. text is rotated about its centre
+   * @return {SVGRect} svg rectangle object
+   */
+  drawText(s, x, y, f, r = 0) {
+    return (this.group ?? this.svg)
+    .text(s)
+    .font({
+      family: 'sans-serif',
+      size: f,
+      anchor: 'middle'
+    })
+    .transform({
+      rotate: r,
+      origin: "center center",
+      translate: [ x + this.margin, y + this.margin ]
+    });
+  }
+
+  /**
+   * Draw a line
+   * @param {number} x1 x of start
+   * @param {number} y1 y of start
+   * @param {number} x2 x of end
+   * @param {number} y2 y of end
+   * @return {SVG.Line} svg line object
+   */
+  drawLine(x1, y1, x2, y2) {
+    const m = this.margin;
+    return (this.group ?? this.svg).line(x1 + m, y1 + m, x2 + m, y2 + m);
+  }
+
+  /**
+   * Draw a polygon
+   * @param {object.<x:number,y:number>} polygon vertices
+   */
+  drawPolygon(vertices) {
+    const poly = [];
+    for (let i = 0; i < vertices.length; i++)
+      poly.push(`${vertices[i].x + this.margin},${vertices[i].y + this.margin}`);
+    return (this.group ?? this.svg).polygon(poly.join(" "));
+  }
+}
+
+export { Surface }
@@ -0,0 +1,157 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+/**
+ * Units of measurement. The numbers in a room (vertices, plank
+ * sizes etc.) are in the `input` units, and are never converted.
+ * Lengths are converted to the `display` units, and rounded to the
+ * `precision`, whenever they are shown to the user or exported. The
+ * precision is a step in display units, either a number (e.g. 0.1)
+ * or a fraction (e.g. "1/16"). Fractional precisions are shown as
+ * fractions, e.g. 3 5/16.
+ */
+class Units {
+
+  /**
+   * Size of each supported unit, in cm
+   */
+  static UNITS = {
+    mm: 0.1,
+    cm: 1,
+    m: 100,
+    in: 2.54,
+    ft: 30.48
+  };
+
+  /**
+   * Parse a number that may be a fraction, or a whole number and a
+   * fraction, e.g. "3", "3.5", "5/16", "3 5/16"
+   * @param {string|number} s the string to parse
+   * @return {number} the number, or NaN if it can't be parsed
+   */
+  static parseNumber(s) {
+    if (typeof s === "number")
+      return s;
+    const m = /^\s*(-?)\s*(?:(\d+(?:\.\d*)?)\s+)?(\d+)\s*\/\s*(\d+)\s*$/.exec(s);
+    if (m)
+      return (m[1] ? -1 : 1)
+      * ((m[2] ? parseFloat(m[2]) : 0) + parseInt(m[3]) / parseInt(m[4]));
+    return /^\s*-?(\d+\.?\d*|\.\d+)\s*$/.test(s) ? parseFloat(s) : NaN;
+  }
+
+  /**
+   * @param {object} template
+   * @param {string} template.input units the room is described in
+   * @param {string} template.display units to show lengths in
+   * @param {number|string} template.precision rounding step for
+   * display, e.g. 0.1, 1 or "1/16"
+   */
+  constructor(template = {}) {
+    /**
+     * Units that the numbers in the room are in
+     * @member {string}
+     */
+    this.input = template.input in Units.UNITS ? template.input : "cm";
+
+    /**
+     * Units that lengths are displayed in
+     * @member {string}
+     */
+    this.display = template.display in Units.UNITS
+    ? template.display : this.input;
+
+    /**
+     * Rounding step for display, as given
+     * @member {number|string}
+     */
+    this.precision = template.precision ?? 0.1;
+    if (typeof this.precision === "string" && !this.fractional)
+      this.precision = parseFloat(this.precision);
+  }
+
+  /**
+   * The rounding step, as a number
+   * @member {number}
+   */
+  get step() {
+    const step = Units.parseNumber(this.precision);
+    return step > 0 ? step : 0.1;
+  }
+
+  /**
+   * Is the precision a fraction?
+   * @member {boolean}
+   */
+  get fractional() {
+    return String(this.precision).indexOf("/") >= 0;
+  }
+
+  /**
+   * Convert a length in input units to display units
+   * @param {number} v the length
+   * @return {number} the length in display units
+   */
+  toDisplay(v) {
+    return v * Units.UNITS[this.input] / Units.UNITS[this.display];
+  }
+
+  /**
+   * Convert a length in display units to input units
+   * @param {number} v the length in display units
+   * @return {number} the length in input units
+   */
+  fromDisplay(v) {
+    return v * Units.UNITS[this.display] / Units.UNITS[this.input];
+  }
+
+  /**
+   * Convert a length to display units and round it to the precision
+   * @param {number} v the length, in input units
+   * @return {number} the rounded length in display units
+   */
+  round(v) {
+    const step = this.step;
+    const r = Math.round(this.toDisplay(v) / step) * step;
+    // Lose floating point noise
+    return parseFloat(r.toPrecision(12));
+  }
+
+  /**
+   * Format a length for display
+   * @param {number} v the length, in input units
+   * @return {string} the length in display units, rounded to the
+   * precision
+   */
+  format(v) {
+    const r = this.round(v);
+    if (!this.fractional) {
+      const places = (String(this.step).split(".")[1] ?? "").length;
+      return r.toFixed(places);
+    }
+    const den = Math.round(1 / this.step);
+    const a = Math.abs(r);
+    let whole = Math.floor(a), num = Math.round((a - whole) * den);
+    if (num === den)
+      whole++, num = 0;
+    const sign = r < 0 ? "-" : "";
+    if (num === 0)
+      return `${sign}${whole}`;
+    let d = den;
+    const gcd = (x, y) => y === 0 ? x : gcd(y, x % y);
+    const g = gcd(num, d);
+    num /= g, d /= g;
+    return whole > 0 ? `${sign}${whole} ${num}/${d}` : `${sign}${num}/${d}`;
+  }
+
+  /**
+   * Parse a length typed by the user in display units
+   * @param {string} s the string, as accepted by Units.parseNumber
+   * @return {number} the length in input units, or NaN if it can't
+   * be parsed
+   */
+  parse(s) {
+    return this.fromDisplay(Units.parseNumber(s));
+  }
+}
+
+export { Units }
@@ -0,0 +1,332 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node */
+/* global process */
+import Path from "path";
+import { promises as Fs } from "fs";
+import getopt from "posix-getopt";
+import { CutSheet } from "./CutSheet.js";
+import { Project } from "./Project.js";
+import { Room } from "./Room.js";
+import { StringSurface } from "./StringSurface.js";
+import { Units } from "./Units.js";
+import { Optimiser } from "./Optimiser.js";
+
+// Map from option to the Room parameter it overrides
+const PARAM_OPTS = {
+  w: "PLANK_WIDTH",
+  l: "PLANK_LENGTH",
+  c: "CUT_THICKNESS",
+  m: "MIN_PLANK_LENGTH",
+  g: "MIN_STAGGER",
+  x: "START_LEFT",
+  y: "START_TOP",
+  b: "BOARDS_PER_PACK",
+  n: "PACKS_IN_STOCK",
+  P: "PACK_PRICE",
+  v: "OVERAGE",
+  r: "DIRECTION",
+  e: "EXPANSION_GAP",
+  t: "PATTERN",
+  B: "BOND",
+  a: "PATTERN_ANGLE"
+};
+
+// Option defaults
+const options = {
+  output: ".",
+  shuffle: false,
+  seed: undefined,
+  optimise: 0,
+  paper: "A4",
+  lengths: undefined,
+  units: undefined,
+  params: {}
+};
+
+const DESCRIPTION = [
+  "USAGE",
+  `\tnode ${Path.relative(".", process.argv[1])} [options] <room.json> ...`,
+  "DESCRIPTION",
+  "\tLay planks on the floor of each room file, print the cutting",
+  "\tschedule, and write <room>.svg, <room>_plan.json, a printable",
+  "\tcut sheet <room>_cuts.html and lists of the planks placed",
+  "\t<room>_planks.csv and <room>_planks.json to the output directory.",
+  "\tA project file, holding several rooms, is planned as a whole;",
+  "\tthe shuffle and optimise options only apply to single rooms.",
+  "OPTIONS",
+  `\t-w, --width <n> - Plank width (overrides PLANK_WIDTH)`,
+  `\t-l, --length <n> - Plank length (overrides PLANK_LENGTH)`,
+  `\t-L, --lengths <list> - Mixed board lengths, e.g. "60x20,90,120"`,
+  `\t-c, --cut <n> - Thickness of a saw cut (overrides CUT_THICKNESS)`,
+  `\t-m, --min <n> - Minimum plank length (overrides MIN_PLANK_LENGTH)`,
+  `\t-g, --stagger <n> - Minimum joint stagger (overrides MIN_STAGGER)`,
+  `\t-x, --left <n> - Start offset from the left (overrides START_LEFT)`,
+  `\t-y, --top <n> - Start offset from the top (overrides START_TOP)`,
+  `\t-b, --pack <n> - Boards per pack (overrides BOARDS_PER_PACK)`,
+  `\t-n, --stock <n> - Packs in stock (overrides PACKS_IN_STOCK)`,
+  `\t-P, --price <n> - Price per pack (overrides PACK_PRICE)`,
+  `\t-v, --overage <n> - Percentage extra to buy (overrides OVERAGE)`,
+  `\t-r, --direction <n> - Direction the boards run, 0, 90, 180 or 270 (overrides DIRECTION)`,
+  `\t-e, --gap <n> - Expansion gap to leave at the walls (overrides EXPANSION_GAP)`,
+  `\t-t, --pattern <name> - Pattern to lay, ${Room.PATTERNS.join(", ")} (overrides PATTERN)`,
+  `\t-B, --bond <n> - Brick bond, 2 for 1/2, 3 for 1/3 (overrides BOND)`,
+  `\t-a, --angle <n> - Herringbone or chevron angle, degrees (overrides PATTERN_ANGLE)`,
+  `\t-s, --shuffle - Shuffle the columns after layout`,
+  `\t-S, --seed <n> - Seed for the shuffle (implies -s)`,
+  `\t-O, --optimise <n> - Search up to <n> layouts for the best scoring`,
+  `\t-u, --units <units> - Units to show lengths in, ${Object.keys(Units.UNITS).join(", ")}, optionally followed by :precision, e.g. "in:1/16"`,
+  `\t-p, --paper <size> - Paper size for the cut sheet, ${Object.keys(CutSheet.PAPER).join(" or ")} (default ${options.paper})`,
+  `\t-o, --output <dir> - Directory to write files to (default ${options.output})`
+].join("\n");
+
+const go_parser = new getopt.BasicParser(
+  "w:(width)l:(length)L:(lengths)c:(cut)m:(min)g:(stagger)x:(left)y:(top)"
+  + "b:(pack)n:(stock)P:(price)v:(overage)r:(direction)e:(gap)t:(pattern)B:(bond)a:(angle)s(shuffle)S:(seed)O:(optimise)u:(units)p:(paper)o:(output)",
+  process.argv);
+
+function fail(message) {
+  if (message)
+    console.error(message);
+  console.log(DESCRIPTION);
+  process.exit(1);
+}
+
+let option;
+while ((option = go_parser.getopt())) {
+  switch (option.option) {
+  case "w": case "l": case "c": case "m": case "g": case "x": case "y":
+  case "b": case "n": case "P": case "v": case "r": case "e": case "B":
+  case "a": {
+    const v = parseFloat(option.optarg);
+    if (isNaN(v))
+      fail(`Bad number "${option.optarg}" for -${option.option}`);
+    options.params[PARAM_OPTS[option.option]] = v;
+    break;
+  }
+  case "t":
+    if (!Room.PATTERNS.includes(option.optarg))
+      fail(`Bad pattern "${option.optarg}" for -t`);
+    options.params.PATTERN = option.optarg;
+    break;
+  case "L": options.lengths = Room.parseLengths(option.optarg); break;
+  case "s": options.shuffle = true; break;
+  case "S":
+    options.shuffle = true;
+    options.seed = parseInt(option.optarg);
+    if (isNaN(options.seed))
+      fail(`Bad number "${option.optarg}" for -S`);
+    break;
+  case "O":
+    options.optimise = parseInt(option.optarg);
+    if (isNaN(options.optimise))
+      fail(`Bad number "${option.optarg}" for -O`);
+    break;
+  case "u": {
+    const [ display, precision ] = option.optarg.split(":");
+    if (!(display in Units.UNITS))
+      fail(`Bad units "${display}" for -u`);
+    options.units = { display: display };
+    if (typeof precision !== "undefined") {
+      if (!(Units.parseNumber(precision) > 0))
+        fail(`Bad precision "${precision}" for -u`);
+      options.units.precision = precision;
+    }
+    break;
+  }
+  case "p":
+    if (!(option.optarg in CutSheet.PAPER))
+      fail(`Bad paper size "${option.optarg}" for -p`);
+    options.paper = option.optarg;
+    break;
+  case "o": options.output = option.optarg; break;
+  default: fail(`Unknown option -${option.option}`);
+  }
+}
+
+const files = process.argv.slice(go_parser.optind());
+if (files.length === 0)
+  fail("No room files given");
+
+/**
+ * Write the SVG and JSON for a plan
+ * @param {string} file path to the room or project file
+ * @param {Room|Project} plan the room or project
+ * @return {Promise} resolves when the files have been written
+ */
+async function writePlan(file, plan) {
+  const surf = new StringSurface();
+  const extent = plan.extent;
+  surf.resize(extent.left, extent.top, extent.width, extent.height,
+              plan.PLANK_WIDTH);
+  plan.draw(surf);
+
+  const base = Path.join(options.output,
+                         Path.basename(file, Path.extname(file)));
+  await Fs.writeFile(`${base}.svg`, surf.svg());
+  await Fs.writeFile(`${base}_plan.json`, JSON.stringify(plan));
+  console.log(`\tWrote ${base}.svg and ${base}_plan.json`);
+}
+
+/**
+ * Write a printable cut sheet and the lists of planks placed for a room
+ * @param {string} base path to the output file, less extension
+ * @param {Room} room the room
+ * @param {string} title title for the cut sheet
+ * @return {Promise} resolves when the file has been written
+ */
+async function writeCutSheet(base, room, title) {
+  const sheet = new CutSheet(room, { paper: options.paper, title: title });
+  await Fs.writeFile(`${base}_cuts.html`, sheet.html());
+  await Fs.writeFile(`${base}_planks.csv`, room.placementsCSV());
+  await Fs.writeFile(`${base}_planks.json`,
+                     JSON.stringify(room.placements(), null, 1));
+  console.log(`\tWrote ${base}_cuts.html, ${base}_planks.csv and ${base}_planks.json`);
+}
+
+/**
+ * Plan a project file, containing several rooms
+ * @param {string} file path to the project file
+ * @param {object} data project data read from the file
+ * @return {Promise} resolves when the plan has been written
+ */
+async function planProject(file, data) {
+  if (options.lengths)
+    data.lengths = options.lengths;
+  if (options.units)
+    data.units = Object.assign({}, data.units, options.units);
+  for (const key of Object.keys(options.params)) {
+    if (Project.SPEC.includes(key))
+      data[key] = options.params[key];
+    else
+      for (const r of data.rooms)
+        (r.room ??= {})[key] = options.params[key];
+  }
+  const project = new Project(data);
+  project.layout();
+  const plan_units = project.units;
+  const errors = project.validate();
+  if (errors.length > 0)
+    throw new Error(`${file}: invalid project:\n\t${errors.join("\n\t")}`);
+
+  console.log(`${file}:`);
+  for (const run of project.runs)
+    console.log(`\t${run.id}: planksNeeded ${run.room.planksNeeded}, cuts ${run.room.cuts}, plank tops face the ${run.room.topSide} of the plan`);
+  console.log(`\tplanksNeeded ${project.planksNeeded}`);
+  const used = project.boardsUsed();
+  for (const length of Object.keys(used))
+    console.log(`\tboards of length ${plan_units.format(parseFloat(length))}: ${used[length]}`);
+  console.log(`\tcuts ${project.cuts}`);
+  console.log(`\trips ${project.rips}`);
+  console.log(`\twaste ${plan_units.format(project.waste)}`);
+  const stock = project.stock();
+  console.log(`\tpacksNeeded ${stock.packsNeeded}`);
+  console.log(`\tpacksToBuy ${stock.packsToBuy}`);
+  console.log(`\tcost ${stock.cost.toFixed(2)}`);
+  if (stock.shortfall)
+    console.log(`\tWARNING: ${typeof stock.shortfall.length === "number" ? `boards of length ${plan_units.format(stock.shortfall.length)} run` : "stock runs"} out in ${stock.shortfall.room}`);
+  console.log("\tcutting list:");
+  for (const cut of project.cuttingList())
+    console.log(`\t\t${cut}`);
+  if (project.leftovers.length > 0)
+    console.log(`\tleft over: ${project.leftovers.map(p => plan_units.format(p.length)).join(", ")}`);
+
+  await writePlan(file, project);
+  const base = Path.join(options.output,
+                         Path.basename(file, Path.extname(file)));
+  for (const run of project.runs)
+    await writeCutSheet(`${base}_${run.id}`, run.room, run.id);
+}
+
+/**
+ * Plan a single room file
+ * @param {string} file path to the room file
+ * @param {object} data room data read from the file
+ * @return {Promise} resolves when the plan has been written
+ */
+async function planRoom(file, data) {
+  if (options.lengths)
+    data.lengths = options.lengths;
+  if (options.units)
+    data.units = Object.assign({}, data.units, options.units);
+  const room = new Room(Object.assign(data, options.params));
+  const errors = room.validate();
+  if (errors.length > 0)
+    throw new Error(`${file}: invalid room:\n\t${errors.join("\n\t")}`);
+  if (Object.keys(options.params).length > 0 || options.lengths) {
+    // The file may have contained a saved layout
+    room.measure();
+    room.recomputeFloor();
+  }
+  if (options.shuffle)
+    room.shuffle(options.seed);
+  if (options.optimise > 0)
+    new Optimiser(room, {
+      iterations: options.optimise, time: Number.MAX_SAFE_INTEGER
+    }).optimise();
+
+  const plan_units = room.units;
+  console.log(`${file}:`);
+  for (const col of room.unpinned)
+    console.log(`\tWARNING: the pinned column ${plan_units.format(col.left - room.leftmost)} from the ${room.startSide} wall no longer fits the layout, so it has been unpinned`);
+  for (const plank of room.overlapping())
+    console.log(`\tWARNING: plank ${plank.id} runs up to ${plan_units.format(Math.max(plank.overlap_top, plank.overlap_bottom))} past a wall that turns a corner across it, and has to be scribed to fit`);
+  for (const pair of room.unstaggered())
+    console.log(`\tWARNING: ${pair.count} joints in columns ${pair.left + 1} and ${pair.right + 1} are closer than ${plan_units.format(room.MIN_STAGGER)}, as no way of starting the columns keeps them apart`);
+  if (typeof room.layoutSeed === "number")
+    console.log(`\tlayout seed ${room.layoutSeed}`);
+  if (room.seeds.length > 0)
+    console.log(`\tshuffle seeds ${room.seeds.join(", ")}`);
+  console.log(`\tplanksNeeded ${room.planksNeeded}`);
+  const used = room.boardsUsed();
+  for (const length of Object.keys(used))
+    console.log(`\tboards of length ${plan_units.format(parseFloat(length))}: ${used[length]}`);
+  console.log(`\tcuts ${room.cuts}`);
+  console.log(`\trips ${room.rips}`);
+  console.log(`\twaste ${plan_units.format(room.waste)}`);
+  const score = room.score();
+  if (room.MIN_STAGGER > 0)
+    console.log(`\tjoints closer than ${plan_units.format(room.MIN_STAGGER)}: ${room.staggerViolations().length}`);
+  console.log(`\tscore ${score.total.toFixed(1)} (aligned joints ${score.aligned}, staircase steps ${score.staircase})`);
+  const q = room.quality();
+  const fmt = v => typeof v === "number" ? plan_units.format(v) : "-";
+  console.log(`\tjoint stagger min ${fmt(q.minStagger)} avg ${fmt(q.avgStagger)}`);
+  console.log(`\tH-joints ${q.hJoints}`);
+  console.log(`\tlongest staircase ${q.staircase}`);
+  console.log(`\tplanks shorter than minimum ${q.shortBoards}`);
+  const stock = room.stock();
+  console.log(`\tpacksNeeded ${stock.packsNeeded}`);
+  console.log(`\tpacksToBuy ${stock.packsToBuy}`);
+  console.log(`\tcost ${stock.cost.toFixed(2)}`);
+  if (stock.shortfall) {
+    const what = typeof stock.shortfall.length === "number"
+          ? `boards of length ${plan_units.format(stock.shortfall.length)} run`
+          : "stock runs";
+    console.log(`\tWARNING: ${what} out at plank ${stock.shortfall.plank} in column ${stock.shortfall.column + 1}, when ${stock.shortfall.percent.toFixed(0)}% of the room has been laid`);
+  }
+  console.log(`\tcutting schedule (plank tops face the ${room.topSide} of the plan):`);
+  for (const cut of room.cuttingSchedule())
+    if (typeof cut !== "undefined")
+      console.log(`\t\t${cut["<"] ?? ""} | ${cut["<>"] ? cut["<>"] + " | " : ""}${cut[">"] ?? ""}`);
+  console.log("\trip schedule:");
+  for (const rip of room.ripSchedule())
+    console.log(`\t\t${rip}`);
+
+  await writePlan(file, room);
+  await writeCutSheet(
+    Path.join(options.output, Path.basename(file, Path.extname(file))),
+    room, Path.basename(file, Path.extname(file)));
+}
+
+try {
+  await Fs.mkdir(options.output, { recursive: true });
+  for (const file of files) {
+    const data = JSON.parse(await Fs.readFile(file));
+    if (Project.isProject(data))
+      await planProject(file, data);
+    else
+      await planRoom(file, data);
+  }
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
@@ -5,27 +5,47 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 import Path from "path";
 const __dirname = Path.dirname(__filename);
+import { promises as Fs } from "fs";
 import getopt from "posix-getopt";
 //import Cors from "cors";
 import Express from "express";
 import HTTP from "http";
+import { Optimiser } from "./Optimiser.js";
+import { Room } from "./Room.js";
+import { StringSurface } from "./StringSurface.js";
+import { Units } from "./Units.js";
 
 // Option defaults
 const options = {
-  port: 9094
+  port: 9094,
+  data: "rooms"
 };
 
+// Most layouts the compute endpoint will search when optimising
+const MAX_OPTIMISE = 1000;
+
+// Most planks the compute endpoint will lay in a room
+const MAX_PLANKS = 20000;
+
 const DESCRIPTION = [
   "USAGE",
   `\tnode ${Path.relative(".", process.argv[1])} [options]`,
   "DESCRIPTION",
-  "\tLay planks on a floor",
+  "\tLay planks on a floor. Serves the planner, and a REST API to",
+  "\tstore rooms in the data directory and compute their layouts:",
+  "\t\tGET /rooms - list the names of the rooms stored",
+  "\t\tGET /rooms/<name> - get a room",
+  "\t\tPOST /rooms/<name> - store a new room",
+  "\t\tPUT /rooms/<name> - replace a stored room",
+  "\t\tDELETE /rooms/<name> - delete a stored room",
+  "\t\tPOST /compute - lay a room, see README.md",
   "OPTIONS",
-  `\t-p, --port <file> - Port to start server on (default ${options.port})`
+  `\t-p, --port <file> - Port to start server on (default ${options.port})`,
+  `\t-d, --data <dir> - Directory to store rooms in (default ${options.data})`
 ].join("\n");
 
 const go_parser = new getopt.BasicParser(
-  "p:(port)",
+  "p:(port)d:(data)",
   process.argv);
 
 function fail(message) {
@@ -38,30 +58,332 @@ function fail(message) {
 let option;
 while ((option = go_parser.getopt())) {
   switch (option.option) {
+  case "p":
+    options.port = parseInt(option.optarg);
+    if (isNaN(options.port))
+      fail(`Bad port "${option.optarg}" for -p`);
+    break;
+  case "d": options.data = option.optarg; break;
   default: fail(`Unknown option -${option.option}\n${DESCRIPTION}`);
   }
 }
 if (process.argv.length > go_parser.optind())
   fail(`Unexpected "${process.argv[go_parser.optind()]}"`);
 
+/**
+ * An error to be reported to the client with an HTTP status
+ */
+class HTTPError extends Error {
+  /**
+   * @param {number} status HTTP status code
+   * @param {string} message description of the error
+   * @param {string[]} errors optional, list of problems found
+   */
+  constructor(status, message, errors) {
+    super(message);
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Get the path to the file for a stored room
+ * @param {string} name the name of the room
+ * @return {string} path to the file
+ * @throws {HTTPError} 400 if the name is not a safe file name
+ */
+function roomFile(name) {
+  if (!/^[\w-][\w.-]*$/.test(name))
+    throw new HTTPError(400, `Bad room name "${name}"`);
+  return Path.join(options.data, `${name}.json`);
+}
+
+/**
+ * Check that a request body is a room that can be stored
+ * @param {object} data the body
+ * @throws {HTTPError} 400 if it isn't a room
+ */
+function checkRoom(data) {
+  const isPoint = v => typeof v?.x === "number" && typeof v?.y === "number";
+  const isOutline = vs => Array.isArray(vs) && vs.every(isPoint);
+  const isList = (list, ok) => typeof list === "undefined"
+        || (Array.isArray(list) && list.every(ok));
+
+  if (!data || typeof data !== "object" || Array.isArray(data))
+    throw new HTTPError(400, "Room must be a JSON object");
+  if (!isOutline(data.vertices))
+    throw new HTTPError(400, "Room must have vertices, each {x:number, y:number}");
+  if (!isList(data.holes, h => isOutline(h?.vertices)))
+    throw new HTTPError(400, "Room holes must be a list, each {vertices:[{x:number, y:number}]}");
+  if (!isList(data.joined, r => isOutline(r?.vertices)))
+    throw new HTTPError(400, "Joined rooms must be a list, each {vertices:[{x:number, y:number}]}");
+  if (!isList(data.doorways, d => isPoint(d?.from) && isPoint(d?.to)))
+    throw new HTTPError(400, "Room doorways must be a list, each {from:{x:number, y:number}, to:{x:number, y:number}}");
+}
+
+/**
+ * Read a stored room
+ * @param {string} name the name of the room
+ * @return {Promise} resolves to the room data
+ * @throws {HTTPError} 404 if there is no such room
+ */
+async function readRoom(name) {
+  try {
+    return JSON.parse(await Fs.readFile(roomFile(name)));
+  } catch (e) {
+    if (e.code === "ENOENT")
+      throw new HTTPError(404, `No room "${name}"`);
+    throw e;
+  }
+}
+
+/**
+ * Check the layout parameters of a room before it is laid out
+ * @param {object} template the room, with any parameters overridden
+ * @return {string[]} list of problems found
+ */
+function paramProblems(template) {
+  const errors = [];
+  const input = template.units?.input;
+  for (const key of Object.keys(Room.PARAMS)) {
+    const v = template[key] ?? Room.PARAMS[key];
+    if (typeof v !== typeof Room.PARAMS[key])
+      errors.push(`${key} must be a ${typeof Room.PARAMS[key]}`);
+    else if (typeof v === "number" && !isFinite(v))
+      errors.push(`${key} must be a finite number`);
+  }
+  if (errors.length > 0)
+    return errors;
+  for (const key of [ "PLANK_WIDTH", "PLANK_LENGTH" ])
+    if (!((template[key] ?? Room.param(key, input)) > 0))
+      errors.push(`${key} must be more than 0`);
+  for (const key of [ "CUT_THICKNESS", "MIN_PLANK_LENGTH", "MIN_STAGGER" ])
+    if ((template[key] ?? Room.param(key, input)) < 0)
+      errors.push(`${key} can't be negative`);
+  if ((template.START_TOP ?? Room.param("START_TOP", input)) < 0)
+    errors.push("START_TOP can't be negative");
+  if (template.lengths && (!Array.isArray(template.lengths)
+                           || template.lengths.some(l => !(l?.length > 0))))
+    errors.push("board lengths must all be more than 0");
+  if (errors.length > 0)
+    return errors;
+
+  // Estimate the number of planks from the extent of the room, in
+  // whichever direction the boards run, so tiny planks (or a huge
+  // room, or start offsets far outside it) can't keep the server busy
+  // forever
+  const vs = template.vertices.concat(
+    ...(template.joined ?? []).map(r => r.vertices ?? []));
+  if (vs.length === 0)
+    return errors;
+  const xs = vs.map(v => v.x), ys = vs.map(v => v.y);
+  const span = Math.max(Math.max(...xs) - Math.min(...xs),
+                        Math.max(...ys) - Math.min(...ys));
+  const width = template.PLANK_WIDTH ?? Room.param("PLANK_WIDTH", input);
+  const length = Math.min(
+    template.PLANK_LENGTH ?? Room.param("PLANK_LENGTH", input),
+    ...(template.lengths ?? []).map(l => l.length));
+  // The columns are laid from START_LEFT, and the first is started
+  // START_TOP down
+  const left = Math.abs(template.START_LEFT ?? Room.param("START_LEFT", input));
+  const top = template.START_TOP ?? Room.param("START_TOP", input);
+  const columns = (span + left) / width + 1;
+  const planks = (span + top) / length + 1;
+  if (!(columns * planks <= MAX_PLANKS))
+    errors.push(`the room would need about ${Math.round(columns * planks)} planks, more than the ${MAX_PLANKS} allowed; check PLANK_WIDTH, PLANK_LENGTH, START_LEFT and START_TOP`);
+  return errors;
+}
+
+/**
+ * Lay out a room for the compute endpoint
+ * @param {object} body the request body, {room:object|string,
+ * params:object, lengths:string, units:object, shuffle:boolean|number,
+ * optimise:number}. room is a room, or the name of a stored room.
+ * params override the room parameters, lengths are as for
+ * Room.parseLengths, shuffle is true or a seed, and optimise is the
+ * number of layouts to search.
+ * @return {Promise} resolves to the results
+ * @throws {HTTPError} 400 if the request is bad, 422 if the room is
+ * not valid
+ */
+async function compute(body) {
+  if (!body || typeof body !== "object")
+    throw new HTTPError(400, "Request must be a JSON object");
+  const data = typeof body.room === "string"
+        ? await readRoom(body.room) : body.room;
+  checkRoom(data);
+
+  const params = body.params ?? {};
+  if (typeof params !== "object")
+    throw new HTTPError(400, "params must be an object");
+  const errors = [];
+  for (const key of Object.keys(params))
+    if (!(key in Room.PARAMS))
+      errors.push(`Unknown parameter ${key}`);
+  if (typeof body.lengths !== "undefined" && typeof body.lengths !== "string")
+    errors.push(`lengths must be a string, e.g. "60x20, 90"`);
+  if (typeof body.units !== "undefined") {
+    if (!body.units || typeof body.units !== "object")
+      errors.push("units must be an object");
+    else {
+      for (const key of [ "input", "display" ])
+        if (typeof body.units[key] !== "undefined"
+            && !Object.hasOwn(Units.UNITS, body.units[key]))
+          errors.push(`Bad ${key} units "${body.units[key]}"`);
+      const precision = body.units.precision;
+      if (typeof precision !== "undefined"
+          && !(Units.parseNumber(String(precision)) > 0))
+        errors.push(`Bad precision "${precision}", e.g. 0.1, 1 or "1/16"`);
+    }
+  }
+  const optimise = body.optimise ?? 0;
+  if (!Number.isInteger(optimise) || optimise < 0 || optimise > MAX_OPTIMISE)
+    errors.push(`optimise must be a whole number from 0 to ${MAX_OPTIMISE}`);
+  if (errors.length > 0)
+    throw new HTTPError(400, "Bad compute request", errors);
+
+  const template = Object.assign({}, data, params);
+  if (typeof body.lengths === "string")
+    template.lengths = Room.parseLengths(body.lengths);
+  if (body.units)
+    template.units = Object.assign({}, data.units, body.units);
+  // Drop any saved layout, so the room is laid with these parameters
+  for (const key of [ "columns", "blocks", "partials" ])
+    delete template[key];
+  // The room is laid out as soon as it is constructed, so parameters
+  // that would stop the layout from finishing are checked first
+  const bad = paramProblems(template);
+  if (bad.length > 0)
+    throw new HTTPError(422, "Invalid room", bad);
+  const room = new Room(template);
+  const invalid = room.validate();
+  if (invalid.length > 0)
+    throw new HTTPError(422, "Invalid room", invalid);
+
+  if (body.shuffle === true)
+    room.shuffle();
+  else if (typeof body.shuffle === "number")
+    room.shuffle(body.shuffle);
+  if (optimise > 0)
+    new Optimiser(room, { iterations: optimise }).optimise();
+
+  const surf = new StringSurface();
+  const extent = room.extent;
+  surf.resize(extent.left, extent.top, extent.width, extent.height,
+              room.PLANK_WIDTH);
+  room.draw(surf);
+
+  return {
+    planksNeeded: room.planksNeeded,
+    boardsUsed: room.boardsUsed(),
+    cuts: room.cuts,
+    rips: room.rips,
+    waste: room.waste,
+    score: room.score(),
+    quality: room.quality(),
+    stock: room.stock(),
+    seeds: room.seeds,
+    layoutSeed: room.layoutSeed,
+    topSide: room.topSide,
+    schedule: room.cuttingSchedule().filter(cut => typeof cut !== "undefined"),
+    ripSchedule: room.ripSchedule(),
+    placements: room.placements(),
+    layout: JSON.parse(JSON.stringify(room)),
+    svg: surf.svg()
+  };
+}
+
+/**
+ * Wrap an async route handler so errors go to the error handler
+ * @param {function} handler (req, res) => Promise
+ * @return {function} express route handler
+ */
+function route(handler) {
+  return (req, res, next) => handler(req, res).catch(next);
+}
+
+await Fs.mkdir(options.data, { recursive: true });
+
 console.debug(
-  `Starting server on port ${options.port}`);
+  `Starting server on port ${options.port}, storing rooms in ${options.data}`);
 
 const express = new Express();
 //express.use(Cors());
-express.use(Express.static(__dirname));
+express.use(Express.json({ limit: "10mb" }));
 const cmdRouter = Express.Router();
 
 cmdRouter.get(
   "/",
   (req, res) => res.sendFile(
-    Path.join(__dirname, "floorboards.html"),
+    Path.join(__dirname, "index.html"),
     err => {
       if (err)
         console.error(err, "\n*** Failed to load html ***");
     }
   ));
+
+cmdRouter.get("/rooms", route(async (req, res) => {
+  const files = await Fs.readdir(options.data);
+  res.json(files.filter(f => Path.extname(f) === ".json")
+           .map(f => Path.basename(f, ".json"))
+           .sort());
+}));
+
+cmdRouter.get("/rooms/:name", route(async (req, res) => {
+  res.json(await readRoom(req.params.name));
+}));
+
+cmdRouter.post("/rooms/:name", route(async (req, res) => {
+  const file = roomFile(req.params.name);
+  checkRoom(req.body);
+  try {
+    await Fs.writeFile(file, JSON.stringify(req.body), { flag: "wx" });
+  } catch (e) {
+    if (e.code === "EEXIST")
+      throw new HTTPError(409, `Room "${req.params.name}" already exists`);
+    throw e;
+  }
+  res.status(201).location(`/rooms/${req.params.name}`).json(req.body);
+}));
+
+cmdRouter.put("/rooms/:name", route(async (req, res) => {
+  await readRoom(req.params.name);
+  checkRoom(req.body);
+  await Fs.writeFile(roomFile(req.params.name), JSON.stringify(req.body));
+  res.json(req.body);
+}));
+
+cmdRouter.delete("/rooms/:name", route(async (req, res) => {
+  try {
+    await Fs.unlink(roomFile(req.params.name));
+  } catch (e) {
+    if (e.code === "ENOENT")
+      throw new HTTPError(404, `No room "${req.params.name}"`);
+    throw e;
+  }
+  res.status(204).end();
+}));
+
+cmdRouter.post("/compute", route(async (req, res) => {
+  res.json(await compute(req.body));
+}));
+
 express.use(cmdRouter);
+express.use(Express.static(__dirname));
+
+// Report errors as JSON, {error:string, errors:string[]}
+express.use((err, req, res, next) => {
+  if (res.headersSent)
+    return next(err);
+  // Errors from the JSON body parser carry a status
+  const status = err.status ?? err.statusCode ?? 500;
+  if (status >= 500)
+    console.error(err);
+  const body = { error: err.message };
+  if (err.errors)
+    body.errors = err.errors;
+  res.status(status).json(body);
+});
 
 const protocol = HTTP.Server(express);
 protocol.listen(options.port);
@@ -0,0 +1,35 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Room } from "../Room.js";
+
+describe("Parquet", () => {
+  for (const pattern of [ "herringbone", "chevron" ]) {
+    it(`tiles a room in ${pattern}`, () => {
+      const room = new Room({
+        vertices: [
+          { x: 0, y: 0 }, { x: 200, y: 0 }, { x: 200, y: 150 }, { x: 0, y: 150 }
+        ],
+        PATTERN: pattern, PLANK_WIDTH: 10, PLANK_LENGTH: 60
+      });
+      assert.ok(room.blocks.length > 0);
+
+      // The blocks cover the floor, less the slivers left to the
+      // skirting
+      const sliver = room.PLANK_WIDTH * room.MIN_PLANK_LENGTH / 10;
+      const area = room.blocks.reduce((t, b) => t + b.area, 0);
+      assert.ok(area <= 200 * 150 + 1e-6);
+      assert.ok(area >= 200 * 150 - 0.01 * 200 * 150);
+      assert.ok(room.blocks.every(b => b.area >= sliver));
+
+      // Blocks cut from offcuts come from blocks that were cut, and
+      // don't use new boards
+      const ids = room.blocks.map(b => b.id);
+      const from = room.blocks.filter(b => typeof b.from === "number");
+      assert.ok(from.every(b => ids.includes(b.from)));
+      assert.equal(room.planksNeeded, room.blocks.length - from.length);
+    });
+  }
+});
@@ -0,0 +1,60 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Room } from "../Room.js";
+
+/**
+ * Vertices of a rectangular room
+ * @param {number} w width
+ * @param {number} h height
+ * @return {object[]} the vertices
+ */
+function rectangle(w, h) {
+  return [ { x: 0, y: 0 }, { x: w, y: 0 }, { x: w, y: h }, { x: 0, y: h } ];
+}
+
+describe("Room stagger", () => {
+  it("keeps MIN_STAGGER where the columns are a whole number of boards", () => {
+    for (const gap of [ 10, 15 ]) {
+      const room = new Room({
+        vertices: rectangle(100, 300),
+        PLANK_WIDTH: 10, PLANK_LENGTH: 60, MIN_STAGGER: gap
+      });
+      assert.equal(room.staggerViolations().length, 0);
+      assert.deepEqual(room.unstaggered(), []);
+    }
+  });
+
+  it("reports joints it can't keep apart", () => {
+    // No two neighbouring columns of 60 long boards can keep their
+    // joints 40 apart, and there's no room in 90 to shift them
+    const room = new Room({
+      vertices: rectangle(30, 90),
+      PLANK_WIDTH: 10, PLANK_LENGTH: 60, MIN_STAGGER: 40
+    });
+    const bad = room.unstaggered();
+    assert.ok(bad.length > 0);
+    assert.equal(bad.reduce((t, pair) => t + pair.count, 0),
+                 room.staggerViolations().length);
+  });
+});
+
+describe("Room corners", () => {
+  it("splits columns at corners in a room with right-angle walls", () => {
+    // A notch 10 deep in the top wall, part way across a column
+    const room = new Room({
+      vertices: [
+        { x: 0, y: 0 }, { x: 45, y: 0 }, { x: 45, y: 10 }, { x: 100, y: 10 },
+        { x: 100, y: 200 }, { x: 0, y: 200 }
+      ],
+      PLANK_WIDTH: 10, PLANK_LENGTH: 60
+    });
+    assert.deepEqual(room.overlapping(), []);
+    const split = room.columns.filter(col => col.left === 40);
+    assert.deepEqual(split.map(col => [ col.top, col.bottom ]),
+                     [ [ 0, 10 ], [ 10, 200 ] ]);
+    assert.equal(split[0].plankWidth, 5);
+  });
+});
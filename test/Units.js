@@ -0,0 +1,52 @@
+/* Copyright 2024 Crawford Currie */
+// See README.md
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Room } from "../Room.js";
+
+/**
+ * Make the same L-shaped room in different units
+ * @param {string} input the units
+ * @param {object} params layout parameters, in cm
+ * @return {Room} the room
+ */
+function room(input, params = {}) {
+  const scale = { cm: 1, m: 100, mm: 0.1, in: 2.54 }[input];
+  const vs = [
+    { x: 0, y: 0 }, { x: 300, y: 0 }, { x: 300, y: 250 },
+    { x: 150, y: 250 }, { x: 150, y: 400 }, { x: 0, y: 400 }
+  ];
+  const template = {
+    vertices: vs.map(v => ({ x: v.x / scale, y: v.y / scale })),
+    units: { input: input }
+  };
+  for (const key of Object.keys(params))
+    template[key] = params[key] / scale;
+  return new Room(template);
+}
+
+describe("Units", () => {
+  it("gives default lengths in the room's units", () => {
+    const r = room("m");
+    assert.equal(r.PLANK_WIDTH, 0.1);
+    assert.equal(r.PLANK_LENGTH, 0.6);
+    assert.equal(r.CUT_THICKNESS, 0.005);
+    assert.equal(r.MIN_PLANK_LENGTH, 0.2);
+  });
+
+  it("lays and scores a room the same whatever units it is in", () => {
+    for (const params of [ {}, { MIN_STAGGER: 20, START_TOP: 13 } ]) {
+      const cm = room("cm", params);
+      const q = cm.quality(), s = cm.score();
+      for (const input of [ "m", "mm", "in" ]) {
+        const r = room(input, params);
+        assert.equal(r.planksNeeded, cm.planksNeeded, input);
+        assert.equal(r.cuts, cm.cuts, input);
+        assert.equal(r.quality().staircase, q.staircase, input);
+        assert.equal(r.score().staircase, s.staircase, input);
+        assert.ok(Math.abs(r.score().total - s.total) < 1e-6, input);
+      }
+    }
+  });
+});